@@ -1,17 +1,146 @@
 // api/index.js
 // J-Quants JP Proxy (Screening) — full replacement (paging + fast mode + codes[] fix)
-// 必須Env: PROXY_BEARER
+// 必須Env: PROXY_BEARER（全権限の既定キー） または API_KEYS_FILE（クライアント別キーの定義。両方併用可）
 // どちらか: (A) JQ_REFRESH_TOKEN  または  (B) JQ_EMAIL + JQ_PASSWORD
-// 任意Env: LOG_LEVEL=debug で簡易デバッグログ
+// 任意Env: LOG_LEVEL=debug|info|warn|error|off（既定 info。1行1件の JSON ログを標準出力へ。上流呼び出し・ページ単位の行は debug）
+// 任意Env: JQ_CACHE=0 で上流レスポンスキャッシュ無効 / JQ_CACHE_MAX_ENTRIES（既定 2000） / JQ_CACHE_MAX_BYTES（既定 128MB）
+// 任意Env: SNAPSHOT_STORE=file|memory|off（既定 file） / SNAPSHOT_DIR（既定 OSの一時ディレクトリ配下）
+//          日足スナップショットと財務インデックス（開示日別の /fins/statements）の保存先
+// 任意Env: JOB_STORE=file|memory（既定 file） / JOB_DIR（既定 OSの一時ディレクトリ配下）
+// 任意Env: TOKEN_STORE=file|memory|off（既定 file） / TOKEN_DIR（既定 OSの一時ディレクトリ配下）
+// 任意Env: JQ_PLAN=free|light|standard|premium（既定 standard。レート上限の目安） / JQ_RATE_PER_MIN / JQ_RATE_BURST
+//          JQ_MAX_CONCURRENCY（既定 4） / JQ_MAX_RETRIES（既定 2） / JQ_BREAKER_THRESHOLD（既定 5） / JQ_BREAKER_COOLDOWN_MS（既定 30000）
+// スタンドアロン（npm start）: PORT（既定 3000） / HOST（既定 127.0.0.1） / MAX_BODY_BYTES（既定 1MB）
+//          HTTP_COMPRESSION=0 で gzip/br 圧縮なし / SHUTDOWN_TIMEOUT_MS（既定 30000。停止時に処理中のリクエストを待つ上限）
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { promises as fsp } from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import nodePath from "node:path";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
 
 const JQ_BASE = "https://api.jquants.com/v1";
 const VERSION = "1.1.0-full-paging-fast";
 
-const isDebug = () => (process.env.LOG_LEVEL || "").toLowerCase() === "debug";
-const dlog = (...args) => { if (isDebug()) console.log("[DEBUG]", ...args); };
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-function json(res, code, obj) { res.status(code).json(obj); }
+// リクエスト単位のコンテキスト（リクエストID・キャッシュ HIT/MISS・上流呼び出しの内訳など）
+const REQ_CTX = new AsyncLocalStorage();
+
+// -------------------- ログ・メトリクス
+// ログは1行1件の JSON（ts, level, event, request_id + 任意フィールド）。集計はログ基盤側で行う。
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+const logLevel = () => LOG_LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] ?? LOG_LEVELS.info;
+const isDebug = () => logLevel() <= LOG_LEVELS.debug;
+function logEvent(level, event, fields = {}) {
+  if (LOG_LEVELS[level] < logLevel()) return;
+  const line = { ts: new Date().toISOString(), level, event, request_id: REQ_CTX.getStore()?.requestId ?? null, ...fields };
+  const out = level === "error" || level === "warn" ? console.error : console.log;
+  try { out(JSON.stringify(line)); } catch { out(JSON.stringify({ ts: line.ts, level, event, request_id: line.request_id })); }
+}
+const dlog = (msg, ...args) => {
+  if (isDebug()) logEvent("debug", "debug", { msg, args: args.map(a => a instanceof Error ? a.message : a) });
+};
+
+// Prometheus テキスト形式のメトリクス（プロセス内の累積値。インスタンスごとに別々に数える）
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // 秒
+const METRIC_DEFS = {
+  jqproxy_http_requests_total: ["counter", "HTTP requests by route, method and status"],
+  jqproxy_http_request_duration_seconds: ["histogram", "HTTP request latency by route"],
+  jqproxy_upstream_requests_total: ["counter", "J-Quants calls by endpoint and final status (retries included in one call)"],
+  jqproxy_upstream_request_duration_seconds: ["histogram", "J-Quants call latency by endpoint, including queueing and retries"],
+  jqproxy_upstream_retries_total: ["counter", "J-Quants retry attempts by endpoint"],
+  jqproxy_token_refreshes_total: ["counter", "Token (re)issues by token kind and result"],
+  jqproxy_screen_runs_total: ["counter", "Screen engine runs"],
+  jqproxy_screen_codes_total: ["counter", "Codes seen by the screen engine by stage (candidates, processed, scanned, kept)"],
+  jqproxy_screen_truncated_total: ["counter", "Screen runs cut short by maxScan or the time budget"],
+};
+const METRICS = new Map(); // name -> Map(ラベルJSON -> series)
+function metricSeries(name, labels, init) {
+  let m = METRICS.get(name);
+  if (!m) METRICS.set(name, (m = new Map()));
+  const key = JSON.stringify(labels);
+  let s = m.get(key);
+  if (!s) m.set(key, (s = { labels, ...init() }));
+  return s;
+}
+function metricInc(name, labels = {}, v = 1) {
+  metricSeries(name, labels, () => ({ value: 0 })).value += v;
+}
+function metricObserve(name, labels, sec) {
+  const s = metricSeries(name, labels, () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  LATENCY_BUCKETS.forEach((b, i) => { if (sec <= b) s.buckets[i]++; });
+  s.sum += sec; s.count++;
+}
+const promLabels = (labels) => {
+  const e = Object.entries(labels);
+  if (!e.length) return "";
+  return `{${e.map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`).join(",")}}`;
+};
+// gauges: [name, type, help, value][]（呼び出し時点の値をそのまま出すもの）
+function renderMetrics(gauges = []) {
+  const out = [];
+  for (const [name, [type, help]] of Object.entries(METRIC_DEFS)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const s of METRICS.get(name)?.values() || []) {
+      if (type !== "histogram") { out.push(`${name}${promLabels(s.labels)} ${s.value}`); continue; }
+      LATENCY_BUCKETS.forEach((b, i) => out.push(`${name}_bucket${promLabels({ ...s.labels, le: String(b) })} ${s.buckets[i]}`));
+      out.push(`${name}_bucket${promLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      out.push(`${name}_sum${promLabels(s.labels)} ${Math.round(s.sum * 1e6) / 1e6}`);
+      out.push(`${name}_count${promLabels(s.labels)} ${s.count}`);
+    }
+  }
+  for (const [name, type, help, value] of gauges) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${Number(value) || 0}`);
+  }
+  return out.join("\n") + "\n";
+}
+
+// 上流の URL → エンドポイント名（/v1 とクエリを除く。例 /prices/daily_quotes）
+const upstreamEndpoint = (url) => { try { return new URL(url).pathname.replace(/^\/v1(?=\/)/, ""); } catch { return "unknown"; } };
+// 上流呼び出し1回分（リトライ込み）をメトリクス・リクエストの内訳・ログへ
+function recordUpstream(call, r, err) {
+  const ms = now() - call.startedAt;
+  const endpoint = upstreamEndpoint(call.url);
+  metricInc("jqproxy_upstream_requests_total", { endpoint, status: r ? String(r.status) : "error" });
+  metricObserve("jqproxy_upstream_request_duration_seconds", { endpoint }, ms / 1000);
+  const ctx = REQ_CTX.getStore();
+  if (ctx?.upstream) {
+    const u = ctx.upstream;
+    const e = u.by[endpoint] || (u.by[endpoint] = { calls: 0, ms: 0 });
+    u.calls++; u.ms += ms; e.calls++; e.ms += ms;
+  }
+  let path = endpoint;
+  try {
+    const u = new URL(call.url);
+    if (u.searchParams.has("refreshtoken")) u.searchParams.set("refreshtoken", "***");
+    path = endpoint + u.search;
+  } catch {}
+  // 成功分は1リクエストで数百行になり得るので debug（失敗は warn）
+  logEvent(r?.ok ? "debug" : "warn", "upstream", {
+    method: call.method, path, endpoint, status: r ? r.status : null, attempts: call.attempts,
+    backoff_ms: call.backoff_ms, queue_ms: call.queue_ms, duration_ms: ms, error: err ? (err.message || String(err)) : undefined
+  });
+}
+
+function json(res, code, obj) {
+  const ctx = REQ_CTX.getStore();
+  if (ctx) {
+    const st = cacheStatusOf(ctx);
+    if (st) res.setHeader("X-Cache", st);
+  }
+  // エラー応答は { error, type, upstream_status, request_id } にそろえる
+  if (code >= 400 && obj && typeof obj.error === "string") {
+    obj = { ...obj, type: obj.type ?? errorTypeFor(code), upstream_status: obj.upstream_status ?? null, request_id: ctx?.requestId ?? null };
+    // safe_return=1：エラーも 200 で返し、本来のステータスは status に載せる
+    if (ctx?.safeReturn) { obj.status = code; code = 200; }
+  }
+  if (ctx) ctx.status = code;
+  res.status(code).json(obj);
+}
 function now() { return Date.now(); }
 function readIdTokenOverride(req) {
   const h = req.headers["x-id-token"] || req.headers["X-ID-TOKEN"];
@@ -24,7 +153,12 @@ function pick(v, ...keys) {
   }
   return undefined;
 }
-function toInt(x) { const n = Number(x); return Number.isFinite(n) ? Math.trunc(n) : null; }
+// 未指定（null/空文字）は null（Number(null)=0 で既定値が効かなくなるのを防ぐ）
+function toInt(x) {
+  if (x == null || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+}
 function toNum(x) {
   if (x === "-" || x === "*" || x === "" || x == null) return null;
   const n = Number(x);
@@ -44,139 +178,840 @@ function codeStr(x) {
 }
 function normDateStr(s) { return typeof s === "string" ? s : String(s || ""); }
 
+// -------------------- エラー（type → HTTP ステータス。上流の失敗は jqFetch で種別付きにする）
+const ERROR_STATUS = {
+  bad_request: 400, auth: 401, not_found: 404, payload_too_large: 413, rate_limited: 429,
+  upstream_unavailable: 503, unavailable: 503, internal: 500
+};
+class ApiError extends Error {
+  // opt: status（既定は type から）, upstreamStatus, retryAfterMs（Retry-After ヘッダに出す）, errors（項目別の入力エラー）
+  constructor(type, message, opt = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.type = type;
+    this.status = opt.status ?? ERROR_STATUS[type] ?? 500;
+    this.upstreamStatus = opt.upstreamStatus ?? null;
+    this.retryAfterMs = opt.retryAfterMs ?? null;
+    this.errors = opt.errors ?? null;
+  }
+}
+// 上流の HTTP ステータス → 種別
+function upstreamErrorType(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404) return "not_found";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "upstream_unavailable";
+  return "bad_request";
+}
+// 応答ステータス → 種別（type を付けずに返しているエラー応答用）
+function errorTypeFor(code) {
+  if (code === 401 || code === 403) return "auth";
+  if (code === 404) return "not_found";
+  if (code === 413) return "payload_too_large";
+  if (code === 429) return "rate_limited";
+  if (code === 502 || code === 503 || code === 504) return "upstream_unavailable";
+  if (code >= 500) return "internal";
+  return "bad_request";
+}
+// 銘柄単位で握りつぶさず、処理全体を止めるべきエラー（続けても全銘柄が同じ理由で落ちる）
+function isFatalUpstream(e) {
+  return e instanceof ApiError && (e.type === "auth" || e.type === "rate_limited" || e.type === "upstream_unavailable");
+}
+// 例外 → エラー応答。extra は応答の形を保つための既定値（例 { count: 0, items: [] }）
+function sendError(res, e, extra = {}) {
+  const err = e instanceof ApiError ? e : new ApiError("internal", (e && e.message) || "Internal error");
+  if (err.status >= 500) logEvent("error", "error", { type: err.type, message: err.message, stack: e?.stack });
+  if (err.retryAfterMs != null) res.setHeader("Retry-After", String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))));
+  return json(res, err.status, {
+    ...extra, error: err.message, type: err.type, upstream_status: err.upstreamStatus, ...(err.errors ? { errors: err.errors } : {})
+  });
+}
+// 入力の検証で投げた素の Error → 400（ApiError はそのまま）
+const badRequest = (e) => (e instanceof ApiError ? e : new ApiError("bad_request", e.message));
+
+// -------------------- パラメータ定義・検証（ルート定義・OpenAPI と共通）
+// 定義 { type, description, default, required, enum, min, max, clamp, notFuture }
+//   type: integer | number | boolean | string | date | code | codes | list | object | array | any
+//   codes / list はカンマ区切り・繰り返し（codes=A&codes=B）のどちらでも可
+//   min/max の範囲外は 400。clamp: true の項目（件数など）だけは従来どおり範囲内に丸める
+const CODE_RE = /^[0-9A-Za-z]{4,5}$/;
+const BOOL_TRUE = new Set(["1", "true"]);
+const BOOL_FALSE = new Set(["0", "false"]);
+const isMissing = (v) => v == null || v === "" || (Array.isArray(v) && v.length === 0);
+
+// 1項目の変換。{ value } か { error }
+function coerceParam(def, raw) {
+  const items = () => (Array.isArray(raw) ? raw : [raw]).flatMap(v => String(v).split(",")).map(x => x.trim()).filter(Boolean);
+  const scalar = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+  switch (def.type) {
+    case "integer":
+    case "number": {
+      const n = typeof scalar === "number" ? scalar : typeof scalar === "string" && scalar.trim() ? Number(scalar) : NaN;
+      if (!Number.isFinite(n) || (def.type === "integer" && !Number.isInteger(n))) {
+        return { error: def.type === "integer" ? "must be an integer" : "must be a number" };
+      }
+      if (def.min != null && n < def.min) return def.clamp ? { value: def.min } : { error: `must be >= ${def.min}` };
+      if (def.max != null && n > def.max) return def.clamp ? { value: def.max } : { error: `must be <= ${def.max}` };
+      return { value: n };
+    }
+    case "boolean": {
+      if (typeof scalar === "boolean") return { value: scalar };
+      const v = String(scalar).trim().toLowerCase();
+      if (BOOL_TRUE.has(v)) return { value: true };
+      if (BOOL_FALSE.has(v)) return { value: false };
+      return { error: "must be 1, 0, true or false" };
+    }
+    case "string": {
+      if (typeof scalar === "object") return { error: "must be a string" };
+      const v = String(scalar).trim();
+      if (!def.enum) return { value: v };
+      const hit = def.enum.find(e => e.toLowerCase() === v.toLowerCase());
+      return hit != null ? { value: hit } : { error: `must be one of ${def.enum.join(", ")}` };
+    }
+    case "date": {
+      const v = String(scalar).trim();
+      const t = Date.parse(`${v}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(t) || new Date(t).toISOString().slice(0, 10) !== v) {
+        return { error: "must be a date (YYYY-MM-DD)" };
+      }
+      if (def.notFuture && v > jstDateStr()) return { error: "must not be in the future" };
+      return { value: v };
+    }
+    case "code": {
+      const v = String(scalar).trim();
+      return CODE_RE.test(v) ? { value: v } : { error: "must be a 4- or 5-character security code" };
+    }
+    case "codes": {
+      const bad = items().find(c => !CODE_RE.test(c));
+      return bad != null ? { error: `contains an invalid security code: ${bad}` } : { value: items() };
+    }
+    case "list": return { value: items() };
+    case "object": return raw && typeof raw === "object" && !Array.isArray(raw) ? { value: raw } : { error: "must be an object" };
+    case "array": return Array.isArray(raw) ? { value: raw } : { error: "must be an array" };
+    default: return { value: raw };
+  }
+}
+// 定義に沿って検証・変換（未指定は default か null）。不正があれば項目別の errors 付きで 400
+// src: URLSearchParams か JSON 本文のオブジェクト
+function parseParams(defs, src) {
+  const get = src instanceof URLSearchParams
+    ? (k, d) => (d.type === "codes" || d.type === "list" ? src.getAll(k) : src.get(k))
+    : (k) => src?.[k];
+  const out = {}, errors = [];
+  for (const [name, def] of Object.entries(defs || {})) {
+    const raw = get(name, def);
+    const r = isMissing(raw) ? null : coerceParam(def, raw);
+    // "codes=," のように中身が空のリストも未指定扱い
+    if (!r || ((def.type === "list" || def.type === "codes") && r.value?.length === 0)) {
+      if (def.required) errors.push({ field: name, message: "is required" });
+      out[name] = def.default ?? null;
+      continue;
+    }
+    if (r.error) errors.push({ field: name, message: r.error });
+    else out[name] = r.value;
+  }
+  if (errors.length) throw paramError(errors);
+  return out;
+}
+function paramError(errors) {
+  const text = errors.map(e => (e.message.startsWith(e.field) ? e.message : `${e.field} ${e.message}`)).join("; ");
+  return new ApiError("bad_request", `invalid parameters: ${text}`, { errors });
+}
+const setOrNull = (arr) => (arr && arr.length ? new Set(arr) : null);
+
+// 複数ルートで使う項目
+const COMMON_PARAMS = {
+  code: { type: "code", required: true, description: "Security code (4 digits, e.g. 7203)" },
+  from: { type: "date", description: "Start date (YYYY-MM-DD)" },
+  to: { type: "date", description: "End date (YYYY-MM-DD)" },
+  as_of: { type: "date", notFuture: true, description: "Evaluate as of this date, using only data disclosed by then (YYYY-MM-DD)" },
+  market: { type: "string", enum: ["All", "Prime", "Standard", "Growth"], default: "All", description: "Market segment" },
+  liquidity_mode: { type: "string", enum: ["avg", "latest"], default: "avg", description: "Trading value basis: avg = N-day average, latest = latest day only" },
+  sector17: { type: "list", description: "Comma-separated TSE 17-sector codes or names" },
+  sector33: { type: "list", description: "Comma-separated TSE 33-sector codes or names" },
+  budget_ms: { type: "integer", min: 0, default: 25000, description: "Time budget in milliseconds" },
+  safe_return: {
+    type: "boolean", default: false,
+    description: "Respond with HTTP 200 even on errors: the usual empty result plus error, type and status fields (for connectors that drop non-2xx bodies)"
+  },
+};
+
 // -------------------- 認証（refreshToken / idToken キャッシュ）
-let REFRESH_TOKEN = process.env.JQ_REFRESH_TOKEN || null;
-let REFRESH_TOKEN_EXP_AT = REFRESH_TOKEN ? 0 : 0; // env提供時は有効期限不明
+// トークンと期限はトークンストアにも保存し、コールドスタート時はそこから読む（毎回 auth_user しない）。
+// idToken は期限の ID_TOKEN_REFRESH_AHEAD_MS 前から裏で取り直す。
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000 - 10 * 60 * 1000; // 1週間 -10分
+const ID_TOKEN_TTL_MS = 24 * 60 * 60 * 1000 - 5 * 60 * 1000;           // 24h -5分
+const ID_TOKEN_REFRESH_AHEAD_MS = 60 * 60 * 1000;       // 期限1時間前から先回りで更新
+const REFRESH_TOKEN_WARN_MS = 24 * 60 * 60 * 1000;      // 残り1日で /api/health に警告
+const REFRESH_TOKEN_RENEW_AHEAD_MS = 12 * 60 * 60 * 1000; // 残り12時間でメール/パスワードから再発行（設定時のみ）
+const REFRESH_TOKEN_RENEW_RETRY_MS = 30 * 60 * 1000;    // 再発行に失敗したら次の試行までの間隔（ログイン連打でロックされないように）
+
+let REFRESH_TOKEN = null;
+let REFRESH_TOKEN_EXP_AT = 0;    // 0=不明（env 提供時）
+let REFRESH_TOKEN_SOURCE = null; // "password" | "env"
+let REFRESH_TOKEN_SEEN_AT = 0;   // env 提供時に初めて使った時刻（期限の推定用）
 let ID_TOKEN = null;
 let ID_TOKEN_EXP_AT = 0;
+let TOKENS_LOADED = false;
+const REJECTED_TOKENS = new Set(); // 上流に拒否されたトークン（ストア・env から拾い直さない）
 
 function msUntilExp() { return Math.max(0, (ID_TOKEN_EXP_AT || 0) - now()); }
 
-function requireProxyAuth(req, res) {
-  const header = req.headers["authorization"] || req.headers["Authorization"];
-  if (!header || !header.startsWith("Bearer ")) {
-    json(res, 401, { error: "Missing Authorization: Bearer" });
-    return false;
+// ---- トークンストア ----
+// アダプタIF（async）: get() -> state | null / put(state)
+//   state = { refresh_token, refresh_exp_at, refresh_source, refresh_seen_at, id_token, id_exp_at, updated_at }
+// 既定は file（TOKEN_DIR/tokens.json。パーミッション 600）。KV 等は同じIFで setTokenStore() に渡す。
+function createMemoryTokenStore() {
+  let st = null;
+  return {
+    name: "memory",
+    async get() { return st && { ...st }; },
+    async put(state) { st = { ...state }; }
+  };
+}
+function createFileTokenStore(dir) {
+  const file = nodePath.join(dir, "tokens.json");
+  return {
+    name: "file",
+    dir,
+    async get() {
+      try { return JSON.parse(await fsp.readFile(file, "utf8")); }
+      catch (e) { if (e.code === "ENOENT") return null; throw e; }
+    },
+    async put(state) {
+      await fsp.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify(state), { mode: 0o600 });
+      await fsp.rename(tmp, file);
+    }
+  };
+}
+let TOKEN_STORE; // undefined=未初期化 / null=無効
+function tokenStore() {
+  if (TOKEN_STORE !== undefined) return TOKEN_STORE;
+  const kind = (process.env.TOKEN_STORE || "file").toLowerCase();
+  if (kind === "off" || kind === "none" || kind === "0") TOKEN_STORE = null;
+  else if (kind === "memory") TOKEN_STORE = createMemoryTokenStore();
+  else TOKEN_STORE = createFileTokenStore(process.env.TOKEN_DIR || nodePath.join(os.tmpdir(), "jquants-proxy"));
+  return TOKEN_STORE;
+}
+// 外部アダプタ差し替え用（null で無効化）
+export function setTokenStore(adapter) { TOKEN_STORE = adapter || null; TOKENS_LOADED = false; }
+
+// ストアの内容を取り込む（拒否済み・期限切れは捨てる）。force=true で読み直し（他インスタンスの更新を拾う）
+async function loadTokens(force = false) {
+  if (TOKENS_LOADED && !force) return;
+  TOKENS_LOADED = true;
+  const store = tokenStore();
+  const st = store ? await store.get().catch(e => (dlog("token store get failed", e.message), null)) : null;
+  if (!st) return;
+  const t = now();
+  const env = process.env.JQ_REFRESH_TOKEN;
+  if (st.refresh_token && !REJECTED_TOKENS.has(st.refresh_token) && (!st.refresh_exp_at || st.refresh_exp_at > t) &&
+      // env を差し替えたら（保存済みの env 由来より）新しい env を優先
+      !(st.refresh_source === "env" && env && env !== st.refresh_token)) {
+    REFRESH_TOKEN = st.refresh_token;
+    REFRESH_TOKEN_EXP_AT = st.refresh_exp_at || 0;
+    REFRESH_TOKEN_SOURCE = st.refresh_source || null;
+    REFRESH_TOKEN_SEEN_AT = st.refresh_seen_at || 0;
   }
-  const token = header.slice("Bearer ".length).trim();
-  if (!process.env.PROXY_BEARER || token !== process.env.PROXY_BEARER) {
-    json(res, 401, { error: "Invalid bearer token" });
-    return false;
+  if (st.id_token && !REJECTED_TOKENS.has(st.id_token) && st.id_exp_at > Math.max(t, ID_TOKEN_EXP_AT)) {
+    ID_TOKEN = st.id_token;
+    ID_TOKEN_EXP_AT = st.id_exp_at;
+  }
+}
+async function saveTokens() {
+  const store = tokenStore();
+  if (!store) return;
+  await store.put({
+    refresh_token: REFRESH_TOKEN, refresh_exp_at: REFRESH_TOKEN_EXP_AT, refresh_source: REFRESH_TOKEN_SOURCE,
+    refresh_seen_at: REFRESH_TOKEN_SEEN_AT, id_token: ID_TOKEN, id_exp_at: ID_TOKEN_EXP_AT, updated_at: now()
+  }).catch(e => dlog("token store put failed", e.message));
+}
+// refreshToken の期限。env 提供時は初めて使った時刻 + 1週間で推定（実際はそれより早い可能性がある）
+function refreshTokenExpiry() {
+  if (REFRESH_TOKEN_EXP_AT) return { at: REFRESH_TOKEN_EXP_AT, estimated: false };
+  if (REFRESH_TOKEN_SOURCE === "env" && REFRESH_TOKEN_SEEN_AT) return { at: REFRESH_TOKEN_SEEN_AT + REFRESH_TOKEN_TTL_MS, estimated: true };
+  return { at: 0, estimated: false };
+}
+const canPasswordLogin = () => !!(process.env.JQ_EMAIL && process.env.JQ_PASSWORD);
+
+// トークン発行の上流呼び出し。通信エラーは jqFetch と同じく upstream_unavailable（500 にしない）
+async function tokenFetch(url, init, token) {
+  try {
+    return await upstreamFetch(url, init);
+  } catch (e) {
+    metricInc("jqproxy_token_refreshes_total", { token, result: "error" });
+    if (e instanceof ApiError) throw e;
+    throw new ApiError("upstream_unavailable", `J-Quants token request failed: ${e.message}`);
   }
-  return true;
 }
 
 // /token/auth_user（週1発行想定）
 async function fetchRefreshTokenFromUserPass() {
   const mail = process.env.JQ_EMAIL;
   const pass = process.env.JQ_PASSWORD;
-  if (!mail || !pass) throw new Error("Missing JQ_EMAIL / JQ_PASSWORD");
+  if (!mail || !pass) throw new ApiError("auth", "Missing JQ_EMAIL / JQ_PASSWORD", { status: 500 });
 
-  const r = await fetch(`${JQ_BASE}/token/auth_user`, {
+  const r = await tokenFetch(`${JQ_BASE}/token/auth_user`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ mailaddress: mail, password: pass }),
-  });
+  }, "refresh");
   const j = await r.json().catch(() => ({}));
   if (!r.ok || !j.refreshToken) {
-    throw new Error(`auth_user failed: ${r.status} ${JSON.stringify(j)}`);
+    metricInc("jqproxy_token_refreshes_total", { token: "refresh", result: "error" });
+    throw new ApiError("auth", `auth_user failed: ${r.status} ${JSON.stringify(j)}`, { status: 502, upstreamStatus: r.status });
   }
   REFRESH_TOKEN = j.refreshToken;
-  REFRESH_TOKEN_EXP_AT = Date.now() + 7 * 24 * 60 * 60 * 1000 - 10 * 60 * 1000; // 1週間 -10分
-  dlog("refreshToken issued");
+  REFRESH_TOKEN_EXP_AT = now() + REFRESH_TOKEN_TTL_MS;
+  REFRESH_TOKEN_SOURCE = "password";
+  REFRESH_TOKEN_SEEN_AT = now();
+  await saveTokens();
+  metricInc("jqproxy_token_refreshes_total", { token: "refresh", result: "ok" });
+  logEvent("info", "token_refresh", { token: "refresh" });
   return REFRESH_TOKEN;
 }
 function refreshTokenValid() {
-  return !!REFRESH_TOKEN && (REFRESH_TOKEN_EXP_AT === 0 || REFRESH_TOKEN_EXP_AT > Date.now());
+  return !!REFRESH_TOKEN && !REJECTED_TOKENS.has(REFRESH_TOKEN) && (REFRESH_TOKEN_EXP_AT === 0 || REFRESH_TOKEN_EXP_AT > now());
 }
 let inflightGetRT = null;
 async function ensureRefreshToken() {
-  if (refreshTokenValid()) return REFRESH_TOKEN;
+  await loadTokens();
+  if (refreshTokenValid()) { renewRefreshTokenIfDue(); return REFRESH_TOKEN; }
   if (inflightGetRT) return inflightGetRT;
   inflightGetRT = (async () => {
-    if (process.env.JQ_REFRESH_TOKEN && !REFRESH_TOKEN) {
-      REFRESH_TOKEN = process.env.JQ_REFRESH_TOKEN;
+    await loadTokens(true); // 他インスタンスが再発行済みならそれを使う
+    if (refreshTokenValid()) return REFRESH_TOKEN;
+    const env = process.env.JQ_REFRESH_TOKEN;
+    if (env && !REJECTED_TOKENS.has(env)) {
+      REFRESH_TOKEN = env;
       REFRESH_TOKEN_EXP_AT = 0; // 不明
+      REFRESH_TOKEN_SOURCE = "env";
+      REFRESH_TOKEN_SEEN_AT = now();
+      await saveTokens();
       return REFRESH_TOKEN;
     }
     return await fetchRefreshTokenFromUserPass();
   })();
   try { return await inflightGetRT; } finally { inflightGetRT = null; }
 }
+// 期限が近い refreshToken をメール/パスワードから裏で再発行（失敗したら一定時間は試さない）
+let renewingRT = null, lastRenewAt = 0;
+function renewRefreshTokenIfDue() {
+  const { at } = refreshTokenExpiry();
+  if (!at || at - now() > REFRESH_TOKEN_RENEW_AHEAD_MS || !canPasswordLogin()) return;
+  if (renewingRT || inflightGetRT || now() - lastRenewAt < REFRESH_TOKEN_RENEW_RETRY_MS) return;
+  lastRenewAt = now();
+  renewingRT = fetchRefreshTokenFromUserPass()
+    .catch(e => logEvent("warn", "token_refresh_failed", { token: "refresh", background: true, message: e.message }))
+    .finally(() => { renewingRT = null; });
+}
 
 let inflightGetID = null;
+// maybeRefreshToken（呼び出し元の refreshToken）指定時は発行した idToken を返すだけ。
+// プロキシ自身のトークン（ID_TOKEN・トークンストア）には反映せず、拒否されたらそのまま 401
 async function refreshIdToken(maybeRefreshToken) {
   const refreshToken = maybeRefreshToken || await ensureRefreshToken();
   const url = `${JQ_BASE}/token/auth_refresh?refreshtoken=${encodeURIComponent(refreshToken)}`;
-  const r = await fetch(url, { method: "POST" });
+  const r = await tokenFetch(url, { method: "POST" }, "id");
   const t = await r.json().catch(() => ({}));
 
   if (!r.ok || !t.idToken) {
+    // 上流障害・レート超過はトークンのせいではないので捨てない
+    if (r.status === 429 || r.status >= 500) {
+      metricInc("jqproxy_token_refreshes_total", { token: "id", result: "error" });
+      throw new ApiError(upstreamErrorType(r.status), `auth_refresh failed: ${r.status} ${JSON.stringify(t)}`,
+        { upstreamStatus: r.status, retryAfterMs: retryAfterMs(r) });
+    }
+    if (maybeRefreshToken) {
+      metricInc("jqproxy_token_refreshes_total", { token: "id", result: "error" });
+      throw new ApiError("auth", `auth_refresh failed: ${r.status} ${JSON.stringify(t)}`, { status: 401, upstreamStatus: r.status });
+    }
+    // 拒否された refreshToken は捨てて取り直す（ストア・env の同じ値を拾い直さない）
+    REJECTED_TOKENS.add(refreshToken);
     REFRESH_TOKEN = null; REFRESH_TOKEN_EXP_AT = 0;
     const rt2 = await ensureRefreshToken();
-    const r2 = await fetch(`${JQ_BASE}/token/auth_refresh?refreshtoken=${encodeURIComponent(rt2)}`, { method: "POST" });
+    const r2 = await tokenFetch(`${JQ_BASE}/token/auth_refresh?refreshtoken=${encodeURIComponent(rt2)}`, { method: "POST" }, "id");
     const t2 = await r2.json().catch(() => ({}));
-    if (!r2.ok || !t2.idToken) throw new Error(`auth_refresh failed: ${r2.status} ${JSON.stringify(t2)}`);
+    if (!r2.ok || !t2.idToken) {
+      metricInc("jqproxy_token_refreshes_total", { token: "id", result: "error" });
+      throw new ApiError("auth", `auth_refresh failed: ${r2.status} ${JSON.stringify(t2)}`, { status: 502, upstreamStatus: r2.status });
+    }
     ID_TOKEN = t2.idToken;
+  } else if (maybeRefreshToken) {
+    metricInc("jqproxy_token_refreshes_total", { token: "id", result: "ok" });
+    return { idToken: t.idToken, expAt: now() + ID_TOKEN_TTL_MS };
   } else {
     ID_TOKEN = t.idToken;
   }
-  ID_TOKEN_EXP_AT = Date.now() + 24 * 60 * 60 * 1000 - 5 * 60 * 1000; // 24h -5分
+  ID_TOKEN_EXP_AT = now() + ID_TOKEN_TTL_MS;
+  await saveTokens();
+  scheduleIdTokenRefresh();
+  metricInc("jqproxy_token_refreshes_total", { token: "id", result: "ok" });
+  logEvent("info", "token_refresh", { token: "id" });
   return { idToken: ID_TOKEN, expAt: ID_TOKEN_EXP_AT };
 }
+// 上流に 401 で拒否された idToken を捨てる（その間に別リクエストが取り直していれば何もしない）
+function invalidateIdToken(token) {
+  if (!token) return;
+  REJECTED_TOKENS.add(token);
+  if (ID_TOKEN === token) { ID_TOKEN = null; ID_TOKEN_EXP_AT = 0; dlog("idToken invalidated"); }
+}
 async function ensureIdToken() {
-  if (ID_TOKEN && msUntilExp() > 0) return ID_TOKEN;
+  if (ID_TOKEN && msUntilExp() > 0) {
+    // 期限が近ければ裏で更新し、このリクエストは今のトークンで続ける
+    if (msUntilExp() < ID_TOKEN_REFRESH_AHEAD_MS) refreshIdTokenInBackground();
+    renewRefreshTokenIfDue();
+    return ID_TOKEN;
+  }
   if (inflightGetID) return inflightGetID;
-  inflightGetID = (async () => (await refreshIdToken()).idToken)();
+  inflightGetID = (async () => {
+    await loadTokens(true); // コールドスタート時・他インスタンスが更新済みならそれを使う
+    if (ID_TOKEN && msUntilExp() > 0) {
+      if (msUntilExp() < ID_TOKEN_REFRESH_AHEAD_MS) refreshIdTokenInBackground();
+      return ID_TOKEN;
+    }
+    return (await refreshIdToken()).idToken;
+  })();
   try { return await inflightGetID; } finally { inflightGetID = null; }
 }
+let refreshingID = null;
+function refreshIdTokenInBackground() {
+  if (refreshingID || inflightGetID) return;
+  refreshingID = refreshIdToken()
+    .catch(e => logEvent("warn", "token_refresh_failed", { token: "id", background: true, message: e.message }))
+    .finally(() => { refreshingID = null; });
+}
+// 常駐プロセス向け：期限の少し前に裏で更新（サーバーレスは凍結中に動かないので ensureIdToken でも先回りする）
+let idRefreshTimer = null;
+function scheduleIdTokenRefresh() {
+  if (idRefreshTimer) clearTimeout(idRefreshTimer);
+  idRefreshTimer = setTimeout(refreshIdTokenInBackground, Math.max(1000, ID_TOKEN_EXP_AT - ID_TOKEN_REFRESH_AHEAD_MS - now()));
+  idRefreshTimer.unref?.();
+}
+// /api/health 用（トークンそのものは出さない）
+async function tokenHealth() {
+  await loadTokens();
+  const t = now();
+  const { at, estimated } = refreshTokenExpiry();
+  const warnings = [];
+  if (!REFRESH_TOKEN && !process.env.JQ_REFRESH_TOKEN && !canPasswordLogin()) {
+    warnings.push("no J-Quants credentials configured (JQ_REFRESH_TOKEN or JQ_EMAIL/JQ_PASSWORD)");
+  } else if (at && at - t < REFRESH_TOKEN_WARN_MS) {
+    const when = at <= t ? "has expired" : `expires in ${Math.round((at - t) / HOUR * 10) / 10}h`;
+    warnings.push(`refresh token ${when}${estimated ? " (estimated from first use; may be sooner)" : ""}` +
+      (canPasswordLogin() ? "" : "; rotate JQ_REFRESH_TOKEN or set JQ_EMAIL/JQ_PASSWORD"));
+  }
+  return {
+    store: tokenStore()?.name ?? null,
+    id_token_valid_ms: msUntilExp(),
+    refresh_token: {
+      present: !!REFRESH_TOKEN, source: REFRESH_TOKEN_SOURCE,
+      expires_at: at ? new Date(at).toISOString() : null, expires_in_ms: at ? Math.max(0, at - t) : null, estimated
+    },
+    warnings
+  };
+}
+
+// -------------------- 上流スケジューラ（J-Quants への呼び出しはすべてここを通す）
+// 同時実行数の上限 + トークンバケット（プランのレート上限）で送出を絞り、
+// 429/5xx・通信エラーは Retry-After またはジッター付き指数バックオフでリトライする。
+// 429 を受けたら実効レートを半分にし、成功のたびに少しずつ戻す（AIMD）。
+// 5xx・通信エラーが続いたらサーキットを開き、クールダウン中は上流を叩かずに失敗させる。
+const PLAN_RATE_PER_MIN = { free: 5, light: 60, standard: 120, premium: 500 }; // 目安。実際の上限に合わせて JQ_RATE_PER_MIN で上書き
+const RATE_PER_MIN = Math.max(1, Number(process.env.JQ_RATE_PER_MIN) ||
+  PLAN_RATE_PER_MIN[(process.env.JQ_PLAN || "standard").toLowerCase()] || PLAN_RATE_PER_MIN.standard);
+const RATE_BURST = Math.max(1, Math.min(RATE_PER_MIN, Number(process.env.JQ_RATE_BURST) || 10));
+const MAX_CONCURRENCY = Math.max(1, Number(process.env.JQ_MAX_CONCURRENCY) || 4);
+const MAX_RETRIES = Math.max(0, toInt(process.env.JQ_MAX_RETRIES) ?? 2);
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.JQ_BREAKER_THRESHOLD) || 5);
+const BREAKER_COOLDOWN_MS = Math.max(1000, Number(process.env.JQ_BREAKER_COOLDOWN_MS) || 30000);
+const RETRY_STATUS = new Set([429, 500, 502, 503, 504]);
+const BACKOFF_BASE_MS = 300, BACKOFF_MAX_MS = 8000;
+const RETRY_AFTER_MAX_MS = 30000; // これより長い Retry-After はリトライせずに返す（全体の停止はこの長さまで）
+const MIN_RATE_FACTOR = 0.1;
+
+const UPSTREAM = {
+  active: 0, queue: [], tokens: RATE_BURST, refilledAt: now(), pausedUntil: 0, rateFactor: 1, timer: null,
+  breaker: { state: "closed", failures: 0, openedAt: 0, trial: false, opens: 0 },
+  stats: { requests: 0, retries: 0, status_429: 0, status_5xx: 0, network_errors: 0, rejected: 0, waited: 0, wait_ms: 0, max_queue: 0 }
+};
+
+function refillTokens() {
+  const t = now();
+  const perMs = RATE_PER_MIN * UPSTREAM.rateFactor / MIN;
+  UPSTREAM.tokens = Math.min(RATE_BURST, UPSTREAM.tokens + (t - UPSTREAM.refilledAt) * perMs);
+  UPSTREAM.refilledAt = t;
+}
+// 待ち行列の先頭から、同時実行数・トークン・一時停止が許す分だけ送り出す
+function pumpQueue() {
+  if (UPSTREAM.timer) { clearTimeout(UPSTREAM.timer); UPSTREAM.timer = null; }
+  while (UPSTREAM.queue.length > 0 && UPSTREAM.active < MAX_CONCURRENCY) {
+    refillTokens();
+    const pause = UPSTREAM.pausedUntil - now();
+    const wait = pause > 0 ? pause
+      : UPSTREAM.tokens < 1 ? Math.ceil((1 - UPSTREAM.tokens) * MIN / (RATE_PER_MIN * UPSTREAM.rateFactor)) : 0;
+    if (wait > 0) {
+      UPSTREAM.timer = setTimeout(pumpQueue, wait);
+      return;
+    }
+    UPSTREAM.tokens -= 1;
+    UPSTREAM.active++;
+    const w = UPSTREAM.queue.shift();
+    const waited = now() - w.at;
+    if (waited > 0) { UPSTREAM.stats.waited++; UPSTREAM.stats.wait_ms += waited; }
+    w.resolve();
+  }
+}
+function acquireSlot() {
+  return new Promise(resolve => {
+    UPSTREAM.queue.push({ resolve, at: now() });
+    UPSTREAM.stats.max_queue = Math.max(UPSTREAM.stats.max_queue, UPSTREAM.queue.length);
+    pumpQueue();
+  });
+}
+function releaseSlot() {
+  UPSTREAM.active--;
+  pumpQueue();
+}
+
+// closed → (連続失敗が閾値) → open →（クールダウン後）half_open：試行1本だけ通す → 成功で closed / 失敗で open
+function breakerAllow() {
+  const b = UPSTREAM.breaker;
+  if (b.state === "open") {
+    if (now() < b.openedAt + BREAKER_COOLDOWN_MS) return false;
+    b.state = "half_open"; b.trial = false;
+  }
+  if (b.state === "half_open") {
+    if (b.trial) return false;
+    b.trial = true;
+  }
+  return true;
+}
+function breakerResult(ok) {
+  const b = UPSTREAM.breaker;
+  if (ok) { Object.assign(b, { state: "closed", failures: 0, trial: false }); return; }
+  b.failures++;
+  if (b.state === "half_open" || b.failures >= BREAKER_THRESHOLD) {
+    if (b.state !== "open") b.opens++;
+    Object.assign(b, { state: "open", openedAt: now(), trial: false });
+    logEvent("warn", "upstream_circuit_open", { failures: b.failures, cooldown_ms: BREAKER_COOLDOWN_MS });
+  }
+}
+
+// Retry-After（秒 または HTTP-date）→ ms。無ければ null
+function retryAfterMs(r) {
+  const v = r?.headers?.get?.("retry-after");
+  if (v == null || v === "") return null;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? Math.max(0, t - now()) : null;
+}
+// 指数バックオフ（上限付き）の後半をランダムに取る
+function backoffMs(attempt) {
+  const d = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt - 1));
+  return d / 2 + Math.random() * d / 2;
+}
+
+// fetch の代わり。429/5xx はリトライし尽くしたら最後の Response をそのまま返す（呼び出し側で判定）
+// opt.retries: リトライ回数（既定 JQ_MAX_RETRIES）
+async function upstreamFetch(url, init = {}, opt = {}) {
+  const retries = opt.retries ?? MAX_RETRIES;
+  // 呼び出し1回分（リトライ込み）の記録。終わるときに recordUpstream でログ・メトリクスへ
+  const call = { url, method: init.method || "GET", startedAt: now(), attempts: 0, backoff_ms: 0, queue_ms: 0 };
+  for (let attempt = 1; ; attempt++) {
+    if (!breakerAllow()) {
+      UPSTREAM.stats.rejected++;
+      const left = Math.max(0, UPSTREAM.breaker.openedAt + BREAKER_COOLDOWN_MS - now());
+      const e = new ApiError("upstream_unavailable", `J-Quants upstream unavailable (circuit open, retry in ${Math.ceil(left / 1000)}s)`,
+        { retryAfterMs: left });
+      recordUpstream(call, null, e);
+      throw e;
+    }
+    const queuedAt = now();
+    await acquireSlot();
+    call.queue_ms += now() - queuedAt;
+    call.attempts = attempt;
+    let r = null, err = null;
+    try { r = await fetch(url, init); } catch (e) { err = e; } finally { releaseSlot(); }
+    UPSTREAM.stats.requests++;
+
+    if (r && !RETRY_STATUS.has(r.status)) {
+      breakerResult(true);
+      UPSTREAM.rateFactor = Math.min(1, UPSTREAM.rateFactor + 0.05);
+      recordUpstream(call, r, null);
+      return r;
+    }
+    let wait = backoffMs(attempt);
+    if (r?.status === 429) {
+      // 呼び出し元全体の上限なので、実効レートを落として全体を止める
+      UPSTREAM.stats.status_429++;
+      UPSTREAM.rateFactor = Math.max(MIN_RATE_FACTOR, UPSTREAM.rateFactor / 2);
+      UPSTREAM.tokens = Math.min(UPSTREAM.tokens, 0);
+      if (UPSTREAM.breaker.state === "half_open") UPSTREAM.breaker.trial = false;
+    } else {
+      if (r) UPSTREAM.stats.status_5xx++; else UPSTREAM.stats.network_errors++;
+      breakerResult(false);
+    }
+    const ra = retryAfterMs(r);
+    if (ra != null) {
+      UPSTREAM.pausedUntil = Math.max(UPSTREAM.pausedUntil, now() + Math.min(ra, RETRY_AFTER_MAX_MS));
+      wait = ra;
+    }
+    if (attempt > retries || wait > RETRY_AFTER_MAX_MS) {
+      recordUpstream(call, r, err);
+      if (err) throw err;
+      return r;
+    }
+    UPSTREAM.stats.retries++;
+    metricInc("jqproxy_upstream_retries_total", { endpoint: upstreamEndpoint(url) });
+    call.backoff_ms += Math.round(wait);
+    dlog("upstream retry", r ? r.status : err.message, attempt, Math.round(wait));
+    await sleep(wait);
+  }
+}
+
+function upstreamStats() {
+  refillTokens();
+  const b = UPSTREAM.breaker;
+  return {
+    max_concurrency: MAX_CONCURRENCY,
+    rate_per_min: RATE_PER_MIN,
+    burst: RATE_BURST,
+    effective_rate_per_min: Math.round(RATE_PER_MIN * UPSTREAM.rateFactor * 10) / 10,
+    tokens: Math.floor(UPSTREAM.tokens * 100) / 100,
+    active: UPSTREAM.active,
+    queued: UPSTREAM.queue.length,
+    paused_ms: Math.max(0, UPSTREAM.pausedUntil - now()),
+    breaker: {
+      state: b.state, failures: b.failures, opens: b.opens,
+      retry_in_ms: b.state === "open" ? Math.max(0, b.openedAt + BREAKER_COOLDOWN_MS - now()) : 0
+    },
+    ...UPSTREAM.stats
+  };
+}
+
+// -------------------- 上流レスポンスキャッシュ（キー＝上流パス。X-ID-TOKEN 指定時はそのハッシュを付ける）
+const MIN = 60 * 1000, HOUR = 60 * MIN, DAY = 24 * HOUR;
+const CACHE_TTL = {
+  listed: DAY,           // 上場銘柄一覧：日次（JST 日付が変わるまで）
+  calendar: DAY,         // 営業日カレンダー：日次
+  quotesClosed: 365 * DAY, // 確定済みの日の株価：実質永続
+  quotesOpen: 10 * MIN,  // 当日分・期間末未指定
+  statements: 6 * HOUR,  // 財務：数時間
+  announcement: 6 * HOUR, // 決算発表予定：数時間（夕方に翌営業日以降分が更新される）
+  flows: 6 * HOUR,       // 空売り・投資部門別：数時間
+};
+const CACHE_MAX_ENTRIES = Math.max(1, Number(process.env.JQ_CACHE_MAX_ENTRIES) || 2000);
+// 件数だけでなくサイズでも上限（全銘柄の1ページは数MBになる）。1件で上限の1/4を超えるものは載せない
+const CACHE_MAX_BYTES = Math.max(1, Number(process.env.JQ_CACHE_MAX_BYTES) || 128 * 1024 * 1024);
+const cacheEnabled = () => process.env.JQ_CACHE !== "0";
+
+const RESP_CACHE = new Map();   // key -> { body, expAt, bytes }（Map の挿入順で LRU）
+const RESP_INFLIGHT = new Map(); // key -> Promise（同一パスの同時リクエストを1本に）
+const CACHE_STATS = { hits: 0, misses: 0, dedup: 0, evictions: 0, skipped: 0 };
+let cacheBytes = 0;
+
+// JST の暦日（YYYY-MM-DD）
+function jstDateStr(t = now()) { return new Date(t + 9 * HOUR).toISOString().slice(0, 10); }
+function msUntilNextJstDay(t = now()) {
+  const jst = t + 9 * HOUR;
+  return DAY - (jst % DAY);
+}
+// 当日（JST）より前＝確定済みの日付か（YYYY-MM-DD / YYYYMMDD 両対応）
+function isClosedDate(d) {
+  const s = String(d || "").replace(/-/g, "");
+  return !!s && s < jstDateStr().replace(/-/g, "");
+}
+
+function cacheTtlFor(pathWithQuery) {
+  const u = new URL(pathWithQuery, "http://localhost");
+  const p = u.pathname, q = u.searchParams;
+  if (p === "/listed/info") return Math.min(CACHE_TTL.listed, msUntilNextJstDay());
+  if (p === "/markets/trading_calendar") return CACHE_TTL.calendar;
+  if (p === "/prices/daily_quotes") {
+    return isClosedDate(q.get("date") || q.get("to")) ? CACHE_TTL.quotesClosed : CACHE_TTL.quotesOpen;
+  }
+  if (p === "/fins/statements" || p === "/fins/dividend") return CACHE_TTL.statements;
+  if (p === "/fins/announcement") return CACHE_TTL.announcement;
+  if (p === "/markets/short_selling" || p === "/markets/short_selling_positions" || p === "/markets/trades_spec") return CACHE_TTL.flows;
+  if (p === "/markets/weekly_margin_interest") return CACHE_TTL.flows;
+  if (p === "/indices/topix" || p === "/indices") {
+    return isClosedDate(q.get("date") || q.get("to")) ? CACHE_TTL.quotesClosed : CACHE_TTL.quotesOpen;
+  }
+  return 0; // それ以外はキャッシュしない
+}
+
+// 配列が全て空（かつ続きページ無し）のレスポンス
+function isEmptyBody(body) {
+  if (!body || typeof body !== "object" || body.pagination_key) return false;
+  const arrays = Object.values(body).filter(Array.isArray);
+  return arrays.length > 0 && arrays.every(a => a.length === 0);
+}
+// X-ID-TOKEN 指定時は別の認証情報（別アカウント・別プラン）として分ける
+function cacheKeyFor(pathWithQuery, idTokenOverride) {
+  if (!idTokenOverride) return pathWithQuery;
+  return `${pathWithQuery}#${createHash("sha256").update(String(idTokenOverride)).digest("hex").slice(0, 16)}`;
+}
+
+function cacheDelete(key) {
+  const e = RESP_CACHE.get(key);
+  if (!e) return;
+  RESP_CACHE.delete(key);
+  cacheBytes -= e.bytes;
+}
+function cacheGet(key) {
+  const e = RESP_CACHE.get(key);
+  if (!e) return undefined;
+  if (e.expAt <= now()) { cacheDelete(key); return undefined; }
+  // LRU：参照されたものを末尾へ
+  RESP_CACHE.delete(key); RESP_CACHE.set(key, e);
+  return e.body;
+}
+function cacheSet(key, body, ttl) {
+  cacheDelete(key);
+  // 確定済みの日でも空のレスポンス（無料プランの遅延・データ反映前）は長期保持しない
+  if (ttl >= CACHE_TTL.quotesClosed && isEmptyBody(body)) { CACHE_STATS.skipped++; return; }
+  let bytes;
+  try { bytes = Buffer.byteLength(JSON.stringify(body)); } catch { CACHE_STATS.skipped++; return; }
+  if (bytes > CACHE_MAX_BYTES / 4) { CACHE_STATS.skipped++; return; }
+  RESP_CACHE.set(key, { body, expAt: now() + ttl, bytes });
+  cacheBytes += bytes;
+  while (RESP_CACHE.size > CACHE_MAX_ENTRIES || cacheBytes > CACHE_MAX_BYTES) {
+    cacheDelete(RESP_CACHE.keys().next().value);
+    CACHE_STATS.evictions++;
+  }
+}
+function countCache(kind) {
+  CACHE_STATS[kind]++;
+  const ctx = REQ_CTX.getStore();
+  if (ctx) ctx.cache[kind === "misses" ? "misses" : "hits"]++;
+}
+// X-Cache: 上流呼び出しが全て HIT / 全て MISS / 混在 / キャッシュ無視 / 上流呼び出し無し(null)
+function cacheStatusOf(ctx) {
+  const { hits, misses } = ctx.cache;
+  if (ctx.noCache) return "BYPASS";
+  if (hits + misses === 0) return null;
+  if (misses === 0) return "HIT";
+  if (hits === 0) return "MISS";
+  return "PARTIAL";
+}
+function cacheStats() {
+  const total = CACHE_STATS.hits + CACHE_STATS.misses;
+  return {
+    enabled: cacheEnabled(),
+    entries: RESP_CACHE.size,
+    max_entries: CACHE_MAX_ENTRIES,
+    bytes: cacheBytes,
+    max_bytes: CACHE_MAX_BYTES,
+    inflight: RESP_INFLIGHT.size,
+    ...CACHE_STATS,
+    hit_rate: total ? CACHE_STATS.hits / total : null
+  };
+}
+
+// キャッシュ経由の GET（同時リクエストは in-flight を共有）
+// opt.noCache: キャッシュ読み出しをスキップ（取得結果は書き込む）
+// opt.noStore: 取得結果をキャッシュに書き込まない（別の保存先を持つ大きなレスポンス向け）
+// opt.vintage: 当日（JST）に取得したものだけを使う（調整後の値を同じ基準でそろえたい時。翌日には捨てる）
+// キャッシュのキーと TTL（ttl <= 0 ならキャッシュしない）
+function cacheSlotFor(pathWithQuery, idTokenOverride, opt = {}) {
+  let ttl = cacheEnabled() ? cacheTtlFor(pathWithQuery) : 0;
+  if (ttl > 0 && opt.vintage) ttl = Math.min(ttl, msUntilNextJstDay());
+  const key = cacheKeyFor(pathWithQuery, idTokenOverride) + (opt.vintage ? `@${jstDateStr()}` : "");
+  return { key, ttl };
+}
+// ページングの途中（続きがある／続きページそのもの）。pagination_key は上流が発行し直すので単独では保持しない
+function isPagedResponse(pathWithQuery, body) {
+  return /[?&]pagination_key=/.test(pathWithQuery) || !!(body && body.pagination_key);
+}
+
+async function jqGET(pathWithQuery, idTokenOverride, opt = {}) {
+  const { key, ttl } = cacheSlotFor(pathWithQuery, idTokenOverride, opt);
+  if (ttl <= 0) return jqFetch(pathWithQuery, idTokenOverride);
+
+  const ctx = REQ_CTX.getStore();
+  if (!ctx?.noCache && !opt.noCache) {
+    const hit = cacheGet(key);
+    if (hit !== undefined) { countCache("hits"); return hit; }
+  }
+  const pending = RESP_INFLIGHT.get(key);
+  if (pending) { countCache("dedup"); return pending; }
+
+  countCache("misses");
+  const p = (async () => {
+    const body = await jqFetch(pathWithQuery, idTokenOverride);
+    if (!opt.noStore && !isPagedResponse(pathWithQuery, body)) cacheSet(key, body, ttl);
+    return body;
+  })();
+  RESP_INFLIGHT.set(key, p);
+  try { return await p; } finally { RESP_INFLIGHT.delete(key); }
+}
 
 // 任意：クライアントが直渡しする場合
-async function jqGET(pathWithQuery, idTokenOverride) {
-  const idToken = idTokenOverride || await ensureIdToken();
+// 失敗は ApiError（auth / not_found / rate_limited / upstream_unavailable / bad_request）
+async function jqFetch(pathWithQuery, idTokenOverride) {
   const url = `${JQ_BASE}${pathWithQuery}`;
-  let attempt = 0, lastErr;
-
-  while (attempt < 3) {
-    attempt++;
+  for (let attempt = 1; ; attempt++) {
+    const idToken = idTokenOverride || await ensureIdToken();
+    // リトライ・レート制御はスケジューラ側
+    let r;
     try {
-      const r = await fetch(url, { headers: { Authorization: `Bearer ${idToken}` } });
-      const body = await r.json().catch(() => ({}));
-      if (r.ok) return body;
-
-      // レート・一時障害はリトライ
-      if ([429, 500, 502, 503, 504].includes(r.status)) {
-        const backoff = 300 * Math.pow(2, attempt - 1); // 300, 600, 1200ms
-        await sleep(backoff);
-        continue;
-      }
-      // その他は即エラー
-      const msg = body && (body.message || body.error) ? ` ${JSON.stringify(body)}` : "";
-      throw new Error(`JQ GET failed: ${r.status}${msg}`);
+      r = await upstreamFetch(url, { headers: { Authorization: `Bearer ${idToken}` } });
     } catch (e) {
-      lastErr = e;
-      if (attempt >= 3) break;
-      await sleep(300 * Math.pow(2, attempt - 1));
+      if (e instanceof ApiError) throw e;
+      throw new ApiError("upstream_unavailable", `J-Quants request failed: ${e.message}`);
     }
+    const body = await r.json().catch(() => ({}));
+    if (r.ok) return body;
+
+    // 期限前に無効化された idToken：捨てて取り直し、1回だけやり直す（X-ID-TOKEN 指定時は呼び出し元の責任）
+    if (r.status === 401 && !idTokenOverride && attempt === 1) { invalidateIdToken(idToken); continue; }
+    const msg = body && (body.message || body.error) ? ` ${JSON.stringify(body)}` : "";
+    const type = upstreamErrorType(r.status);
+    // 401：X-ID-TOKEN が無効なら 401、プロキシ自身の認証情報が通らないなら 502
+    const status = type === "auth" ? (r.status === 403 ? 403 : idTokenOverride ? 401 : 502) : undefined;
+    throw new ApiError(type, `JQ GET failed: ${r.status}${msg}`, { status, upstreamStatus: r.status, retryAfterMs: retryAfterMs(r) });
   }
-  throw lastErr || new Error("JQ GET failed");
 }
 
 // ★ ページングを最後まで取り切る共通ヘルパー
+// opt.key: 配列を取り出すキー（既定 daily_quotes）
+// opt.meta を渡すと { pages, truncated } を書き戻す（maxPages で打ち切られたか）
+// 複数ページの結果は組み立て後に path（1ページ目と同じキー・同じ形）で保持する
 async function jqGETAll(path, idTokenOverride, opt = {}) {
   const maxPages = Number(opt.maxPages ?? 50);   // 上限
   const sleepMs  = Number(opt.sleepMs  ?? 120);  // ページ間の待機
+  const key = opt.key || "daily_quotes";
+
+  const slot = cacheSlotFor(path, idTokenOverride, opt);
+  if (slot.ttl > 0 && !REQ_CTX.getStore()?.noCache && !opt.noCache) {
+    const hit = cacheGet(slot.key);
+    if (hit !== undefined) {
+      countCache("hits");
+      if (opt.meta) Object.assign(opt.meta, { pages: 0, truncated: false });
+      return Array.isArray(hit[key]) ? hit[key] : [];
+    }
+  }
 
+  const startedAt = now();
   let out = [], next = null, pages = 0;
   do {
-    const url = next ? `${path}&pagination_key=${encodeURIComponent(next)}` : path;
-    const j = await jqGET(url, idTokenOverride);
-    if (Array.isArray(j.daily_quotes)) out = out.concat(j.daily_quotes);
+    const sep = path.includes("?") ? "&" : "?";
+    const url = next ? `${path}${sep}pagination_key=${encodeURIComponent(next)}` : path;
+    const j = await jqGET(url, idTokenOverride, { noCache: opt.noCache, noStore: opt.noStore, vintage: opt.vintage });
+    if (Array.isArray(j[key])) out = out.concat(j[key]);
     next = j.pagination_key || null;
     pages++;
     if (next && pages < maxPages && sleepMs > 0) await sleep(sleepMs);
   } while (next && pages < maxPages);
 
+  // 1ページで終わったものは jqGET が保持済み。打ち切られた結果は保持しない
+  if (slot.ttl > 0 && pages > 1 && !next && !opt.noStore) cacheSet(slot.key, { [key]: out }, slot.ttl);
+  if (opt.meta) Object.assign(opt.meta, { pages, truncated: !!next });
+  logEvent("debug", "upstream_pages", { path, pages, items: out.length, truncated: !!next, duration_ms: now() - startedAt });
   return out;
 }
 
@@ -185,8 +1020,33 @@ function mapDailyQuote(rec) {
   return {
     date: normDateStr(pick(rec, "Date", "date")),
     code: codeStr(pick(rec, "Code", "code") || ""),
+    open: toNum(pick(rec, "Open", "open")),
+    high: toNum(pick(rec, "High", "high")),
+    low: toNum(pick(rec, "Low", "low")),
     close: toNum(pick(rec, "Close", "EndPrice", "close", "endPrice", "AdjustedClose", "adjusted_close")),
-    turnover: toNum(pick(rec, "TurnoverValue", "turnoverValue", "trading_value"))
+    volume: toNum(pick(rec, "Volume", "volume")),
+    turnover: toNum(pick(rec, "TurnoverValue", "turnoverValue", "trading_value")),
+    // 分割・併合調整済み（AdjustmentFactor 適用後）
+    adj_factor: toNum(pick(rec, "AdjustmentFactor", "adjustment_factor")),
+    adj_open: toNum(pick(rec, "AdjustmentOpen", "adjustment_open")),
+    adj_high: toNum(pick(rec, "AdjustmentHigh", "adjustment_high")),
+    adj_low: toNum(pick(rec, "AdjustmentLow", "adjustment_low")),
+    adj_close: toNum(pick(rec, "AdjustmentClose", "adjustment_close", "AdjustedClose", "adjusted_close")),
+    adj_volume: toNum(pick(rec, "AdjustmentVolume", "adjustment_volume"))
+  };
+}
+// 履歴用 OHLCV（adjusted=true なら調整後の値。無ければ生値）
+function toOhlcv(q, adjusted = true) {
+  const a = (adj, raw) => (adjusted && adj != null ? adj : raw);
+  return {
+    date: q.date,
+    open: a(q.adj_open, q.open),
+    high: a(q.adj_high, q.high),
+    low: a(q.adj_low, q.low),
+    close: a(q.adj_close, q.close),
+    volume: a(q.adj_volume, q.volume),
+    turnover: q.turnover,
+    adj_factor: q.adj_factor
   };
 }
 function mapWeeklyMargin(rec) {
@@ -199,7 +1059,8 @@ function mapWeeklyMargin(rec) {
     code: codeStr(pick(rec, "Code", "code") || ""),
     buying, selling,
     net: (Number.isFinite(buying) && Number.isFinite(selling)) ? (buying - selling) : null,
-    ratio: buying ? (selling / buying) : null
+    ratio: buying ? (selling / buying) : null,
+    credit_ratio: selling ? (buying / selling) : null // 信用倍率（買残/売残）
   };
 }
 function mapDailyPublic(rec) {
@@ -215,6 +1076,83 @@ function mapDailyPublic(rec) {
     margin_rate: (r != null ? (r > 1 ? r / 100 : r) : null) // ％→0-1正規化
   };
 }
+function mapIndexBar(rec) {
+  return {
+    date: normDateStr(pick(rec, "Date", "date")),
+    ...(pick(rec, "Code", "code") != null ? { code: String(pick(rec, "Code", "code")) } : {}),
+    open: toNum(pick(rec, "Open", "open")),
+    high: toNum(pick(rec, "High", "high")),
+    low: toNum(pick(rec, "Low", "low")),
+    close: toNum(pick(rec, "Close", "close"))
+  };
+}
+function mapShortSelling(rec) {
+  const sellEx = toNum(pick(rec, "SellingExcludingShortSellingTurnoverValue", "selling_ex_short"));
+  const withR = toNum(pick(rec, "ShortSellingWithRestrictionsTurnoverValue", "short_with_restrictions"));
+  const withoutR = toNum(pick(rec, "ShortSellingWithoutRestrictionsTurnoverValue", "short_without_restrictions"));
+  const short = (Number.isFinite(withR) ? withR : 0) + (Number.isFinite(withoutR) ? withoutR : 0);
+  const total = (Number.isFinite(sellEx) ? sellEx : 0) + short;
+  return {
+    date: normDateStr(pick(rec, "Date", "date")),
+    sector33: String(pick(rec, "Sector33Code", "sector33_code") || ""),
+    selling_ex_short: Number.isFinite(sellEx) ? sellEx : 0,
+    short_with_restrictions: Number.isFinite(withR) ? withR : 0,
+    short_without_restrictions: Number.isFinite(withoutR) ? withoutR : 0,
+    short_total: short,
+    short_ratio: total ? short / total : null // 空売り比率（売り代金に占める割合）
+  };
+}
+function mapShortPosition(rec) {
+  const ratio = toNum(pick(rec, "ShortPositionsToSharesOutstandingRatio", "ratio"));
+  const prev = toNum(pick(rec, "ShortPositionsInPreviousReportingRatio", "prev_ratio"));
+  return {
+    disclosed_date: normDateStr(pick(rec, "DisclosedDate", "disclosed_date")),
+    calculated_date: normDateStr(pick(rec, "CalculatedDate", "calculated_date")),
+    code: codeStr(pick(rec, "Code", "code") || ""),
+    short_seller: String(pick(rec, "ShortSellerName", "short_seller") || ""),
+    fund: String(pick(rec, "InvestmentFundName", "fund") || "") || null,
+    ratio: Number.isFinite(ratio) ? ratio : null,
+    shares: toNum(pick(rec, "ShortPositionsInSharesNumber", "shares")),
+    prev_ratio: Number.isFinite(prev) ? prev : null,
+    prev_calculated_date: normDateStr(pick(rec, "CalculationInPreviousReportingDate", "prev_calculated_date")) || null,
+    change: Number.isFinite(ratio) && Number.isFinite(prev) ? ratio - prev : null
+  };
+}
+// 投資部門別売買状況：部門名（上流の接頭辞）→ 応答キー
+const INVESTOR_TYPES = {
+  Proprietary: "proprietary", Brokerage: "brokerage", Individuals: "individuals", Foreigners: "foreigners",
+  SecuritiesCos: "securities_cos", InvestmentTrusts: "investment_trusts", BusinessCos: "business_cos",
+  OtherCos: "other_cos", InsuranceCos: "insurance_cos", CityBKsRegionalBKsEtc: "city_regional_banks",
+  TrustBanks: "trust_banks", OtherFinancialInstitutions: "other_financial"
+};
+function mapTradesSpec(rec) {
+  const investors = {};
+  for (const [src, key] of Object.entries(INVESTOR_TYPES)) {
+    const v = (f) => { const n = toNum(pick(rec, `${src}${f}`)); return Number.isFinite(n) ? n : null; };
+    const o = { sales: v("Sales"), purchases: v("Purchases"), total: v("Total"), balance: v("Balance") };
+    if (o.sales == null && o.purchases == null && o.balance == null) continue;
+    if (o.balance == null && o.sales != null && o.purchases != null) o.balance = o.purchases - o.sales;
+    investors[key] = o;
+  }
+  return {
+    date: normDateStr(pick(rec, "PublishedDate", "published_date")),
+    start_date: normDateStr(pick(rec, "StartDate", "start_date")),
+    end_date: normDateStr(pick(rec, "EndDate", "end_date")),
+    section: String(pick(rec, "Section", "section") || ""),
+    investors
+  };
+}
+function mapAnnouncement(rec) {
+  return {
+    date: normDateStr(pick(rec, "Date", "date")),
+    code: codeStr(pick(rec, "Code", "code") || ""),
+    name: String(pick(rec, "CompanyName", "company_name") || ""),
+    fiscal_year: String(pick(rec, "FiscalYear", "fiscal_year") || ""),
+    fiscal_quarter: String(pick(rec, "FiscalQuarter", "fiscal_quarter") || ""),
+    sector_name: String(pick(rec, "SectorName", "sector_name") || ""),
+    section: String(pick(rec, "Section", "section") || "")
+  };
+}
 
 // -------------------- 上場銘柄/営業日/株価ユーティリティ
 async function getListedMap(idTokenOverride) {
@@ -226,11 +1164,29 @@ async function getListedMap(idTokenOverride) {
     m.set(c, {
       code: c,
       name: String(pick(it, "CompanyName", "name") || ""),
-      marketJa: String(pick(it, "MarketCodeName", "Market", "market") || "")
+      marketJa: String(pick(it, "MarketCodeName", "Market", "market") || ""),
+      sector17Code: String(pick(it, "Sector17Code", "sector17Code", "sector17_code") || ""),
+      sector17Name: String(pick(it, "Sector17CodeName", "sector17CodeName", "sector17_name") || ""),
+      sector33Code: String(pick(it, "Sector33Code", "sector33Code", "sector33_code") || ""),
+      sector33Name: String(pick(it, "Sector33CodeName", "sector33CodeName", "sector33_name") || "")
     });
   }
   return m;
 }
+// レスポンス用の業種フィールド
+function sectorFields(meta) {
+  return {
+    sector17: meta?.sector17Code || null,
+    sector17_name: meta?.sector17Name || null,
+    sector33: meta?.sector33Code || null,
+    sector33_name: meta?.sector33Name || null
+  };
+}
+function sectorMatch(meta, sector17Set, sector33Set) {
+  if (sector17Set && !(sector17Set.has(meta?.sector17Code) || sector17Set.has(meta?.sector17Name))) return false;
+  if (sector33Set && !(sector33Set.has(meta?.sector33Code) || sector33Set.has(meta?.sector33Name))) return false;
+  return true;
+}
 function marketMatch(marketParam, marketNameRaw) {
   if (!marketParam || marketParam === "All") return true;
 
@@ -251,8 +1207,9 @@ function marketMatch(marketParam, marketNameRaw) {
 }
 
 
-async function getRecentTradingDates(nDays, idTokenOverride) {
-  const today = new Date();
+// asOf（YYYY-MM-DD）指定時はその日以前の直近 nDays 営業日
+async function getRecentTradingDates(nDays, idTokenOverride, asOf = null) {
+  const today = asOf ? new Date(`${asOf}T00:00:00Z`) : new Date();
   const to = today.toISOString().slice(0, 10);
   const from = new Date(today.getTime() - 400 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
   const cal = await jqGET(`/markets/trading_calendar?from=${from}&to=${to}`, idTokenOverride);
@@ -264,31 +1221,187 @@ async function getRecentTradingDates(nDays, idTokenOverride) {
   const uniq = Array.from(new Set(biz)).sort(); // 昇順
   return uniq.slice(Math.max(0, uniq.length - nDays));
 }
-async function getLatestTradingDate(idTokenOverride) {
-  const d = await getRecentTradingDates(1, idTokenOverride);
+async function getLatestTradingDate(idTokenOverride, asOf = null) {
+  const d = await getRecentTradingDates(1, idTokenOverride, asOf);
   return d[0];
 }
+// from より後の営業日を昇順で最大 nDays 件（確定済みの日のみ）
+async function getTradingDatesAfter(from, nDays, idTokenOverride) {
+  const base = new Date(`${from}T00:00:00Z`).getTime();
+  const to = new Date(Math.min(base + Math.ceil(nDays * 1.5 + 10) * DAY, now())).toISOString().slice(0, 10);
+  if (to <= from) return [];
+  const cal = await jqGET(`/markets/trading_calendar?from=${from}&to=${to}`, idTokenOverride);
+  const biz = (cal.trading_calendar || [])
+    .filter(r => ["1", "2"].includes(String(pick(r, "HolidayDivision", "holidayDivision", "Holiday") || "")))
+    .map(r => normDateStr(pick(r, "Date", "date")))
+    .filter(d => d > from && isClosedDate(d));
+  return Array.from(new Set(biz)).sort().slice(0, nDays);
+}
+// from〜to（両端含む）の営業日を昇順で
+async function getTradingDatesBetween(from, to, idTokenOverride) {
+  const cal = await jqGET(`/markets/trading_calendar?from=${from}&to=${to}`, idTokenOverride);
+  const biz = (cal.trading_calendar || [])
+    .filter(r => ["1", "2"].includes(String(pick(r, "HolidayDivision", "holidayDivision", "Holiday") || "")))
+    .map(r => normDateStr(pick(r, "Date", "date")));
+  return Array.from(new Set(biz)).sort();
+}
+// 確定済みの日はスナップショットストアを優先し、初回取得時に保存する
+// opt.refresh=true でストア・キャッシュを無視して取り直し（上書き保存）
+// opt.vintage=true でストアを使わず当日（JST）取得分を読む（保存もしない）。別々の日の調整後終値を比べる時に使う
+// 確定済みの日はストアに残るので、全銘柄分の生ページはレスポンスキャッシュに載せない
 async function fetchDailyQuotesByDate(dateStr, idTokenOverride, opt = {}) {
-  const arr = await jqGETAll(`/prices/daily_quotes?date=${encodeURIComponent(dateStr)}`, idTokenOverride, opt);
-  return arr.map(mapDailyQuote);
+  const store = snapshotStore();
+  const closed = isClosedDate(dateStr);
+  if (store && closed && !opt.refresh && !opt.vintage) {
+    const saved = await store.get(dateStr).catch(e => (dlog("snapshot get failed", dateStr, e.message), null));
+    if (saved) return saved;
+  }
+  const meta = {};
+  const arr = await jqGETAll(`/prices/daily_quotes?date=${encodeURIComponent(dateStr)}`, idTokenOverride,
+    { ...opt, noCache: !!opt.refresh, noStore: !!(store && closed) && !opt.vintage, meta });
+  const rows = arr.map(mapDailyQuote);
+  // 途中で打ち切られた日・空の日は保存しない
+  if (store && closed && rows.length > 0 && !meta.truncated && !opt.vintage) {
+    await store.put(dateStr, rows).catch(e => dlog("snapshot put failed", dateStr, e.message));
+  }
+  return rows;
+}
+
+// 銘柄別の日足（全ページ取得・日付昇順・OHLCV 正規化）
+async function fetchPriceHistory(code, from, to, idTokenOverride, opt = {}) {
+  const q = new URLSearchParams({ code: String(code) });
+  if (from) q.set("from", from);
+  if (to) q.set("to", to);
+  const arr = await jqGETAll(`/prices/daily_quotes?${q.toString()}`, idTokenOverride, opt);
+  return arr.map(mapDailyQuote)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(r => toOhlcv(r, opt.adjusted !== false));
+}
+// TOPIX 日足（昇順）
+async function fetchTopixHistory(from, to, idTokenOverride) {
+  const q = new URLSearchParams();
+  if (from) q.set("from", from);
+  if (to) q.set("to", to);
+  const arr = await jqGETAll(`/indices/topix?${q.toString()}`, idTokenOverride, { key: "topix" });
+  return arr.map(mapIndexBar).filter(b => b.date && b.close != null).sort((a, b) => a.date.localeCompare(b.date));
+}
+// 指数日足（昇順）。code="topix" は /indices/topix、それ以外は /indices の指数コード（例 0000=TOPIX, 0028=TOPIX Core30）
+async function fetchIndexHistory(code, from, to, idTokenOverride, opt = {}) {
+  if (!code || String(code).toLowerCase() === "topix") return fetchTopixHistory(from, to, idTokenOverride);
+  const q = new URLSearchParams({ code: String(code) });
+  if (from) q.set("from", from);
+  if (to) q.set("to", to);
+  const arr = await jqGETAll(`/indices?${q.toString()}`, idTokenOverride, { key: "indices", meta: opt.meta });
+  return arr.map(mapIndexBar).filter(b => b.date && b.close != null).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// -------------------- 日足スナップショットストア（営業日ごとに mapDailyQuote 済みの全銘柄配列を保存）
+// アダプタIF（すべて async）:
+//   get(date) -> rows | null / put(date, rows) / has(date) -> boolean / list() -> date[] 昇順 / remove(date)
+// 保存した日の adj_* は取得した時点の調整のまま（後の分割・併合で遡って直さない）。
+// 別々の日の終値を比べるリターン計算には使わず、同じ時に取り直した値（fetchDailyQuotesByDate の vintage / refresh）で計算する。
+// 既定は file（SNAPSHOT_DIR/daily_quotes/YYYY-MM-DD.json）。SQLite/KV 等は同じIFで setSnapshotStore() に渡す。
+const SNAPSHOT_SCHEMA = 2; // mapDailyQuote の形を変えたら上げる（旧形式は未保存扱い）
+
+function createMemorySnapshotAdapter() {
+  const m = new Map();
+  return {
+    name: "memory",
+    async get(date) { return m.get(date) || null; },
+    async put(date, rows) { m.set(date, rows); },
+    async has(date) { return m.has(date); },
+    async list() { return [...m.keys()].sort(); },
+    async remove(date) { m.delete(date); }
+  };
+}
+
+// sub/schema で保存先サブディレクトリと形式バージョンを分ける（財務インデックスも同じアダプタを使う）
+function createFileSnapshotAdapter(dir, sub = "daily_quotes", schema = SNAPSHOT_SCHEMA) {
+  const base = nodePath.join(dir, sub);
+  const file = (date) => nodePath.join(base, `${date}.json`);
+  const valid = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date);
+  return {
+    name: "file",
+    dir: base,
+    async get(date) {
+      if (!valid(date)) return null;
+      try {
+        const j = JSON.parse(await fsp.readFile(file(date), "utf8"));
+        return (j && j.v === schema && Array.isArray(j.rows)) ? j.rows : null;
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(date, rows) {
+      if (!valid(date)) throw new Error(`invalid snapshot date: ${date}`);
+      await fsp.mkdir(base, { recursive: true });
+      // 書きかけを読ませないよう一時ファイル経由で置き換える
+      const tmp = `${file(date)}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ v: schema, date, rows }));
+      await fsp.rename(tmp, file(date));
+    },
+    async has(date) { return (await this.get(date)) != null; },
+    async list() {
+      const names = await fsp.readdir(base).catch(e => { if (e.code === "ENOENT") return []; throw e; });
+      return names.filter(n => /^\d{4}-\d{2}-\d{2}\.json$/.test(n)).map(n => n.slice(0, 10)).sort();
+    },
+    async remove(date) { await fsp.rm(file(date), { force: true }); }
+  };
+}
+
+const snapshotDir = () => process.env.SNAPSHOT_DIR || nodePath.join(os.tmpdir(), "jquants-proxy");
+let SNAPSHOT_STORE; // undefined=未初期化 / null=無効
+function snapshotStore() {
+  if (SNAPSHOT_STORE !== undefined) return SNAPSHOT_STORE;
+  const kind = (process.env.SNAPSHOT_STORE || "file").toLowerCase();
+  if (kind === "off" || kind === "none" || kind === "0") SNAPSHOT_STORE = null;
+  else if (kind === "memory") SNAPSHOT_STORE = createMemorySnapshotAdapter();
+  else SNAPSHOT_STORE = createFileSnapshotAdapter(snapshotDir());
+  return SNAPSHOT_STORE;
+}
+// 外部アダプタ差し替え用（null で無効化）
+export function setSnapshotStore(adapter) { SNAPSHOT_STORE = adapter || null; }
+
+// 直近 nDays 営業日のうち未保存の日を取得して保存（refresh=true なら保存済みも取り直す）
+async function backfillSnapshots(nDays, idTokenOverride, opt = {}) {
+  const store = snapshotStore();
+  if (!store) throw new Error("snapshot store is disabled (SNAPSHOT_STORE=off)");
+  const deadline = now() + (opt.budgetMs ?? 25000);
+  const dates = (await getRecentTradingDates(nDays, idTokenOverride)).filter(isClosedDate);
+
+  const fetched = [], skipped = [], failed = [], remaining = [];
+  for (const dt of dates) {
+    if (now() >= deadline) { remaining.push(dt); continue; }
+    if (!opt.refresh && await store.has(dt)) { skipped.push(dt); continue; }
+    try {
+      const rows = await fetchDailyQuotesByDate(dt, idTokenOverride, { refresh: true });
+      if (rows.length > 0) fetched.push(dt); else failed.push({ date: dt, error: "empty" });
+    } catch (e) {
+      failed.push({ date: dt, error: e.message });
+    }
+  }
+  return { adapter: store.name, requested: dates.length, fetched, skipped: skipped.length, failed, remaining };
 }
 
 // 流動性（売買代金）の算出：
-// mode="avg": 直近N営業日の平均（重い）
-// mode="latest": 直近1日で近似（軽い・推奨）
-async function buildLiquidityAndClose(days = 20, idTokenOverride, mode = "latest") {
+// mode="avg": 直近N営業日の平均（既定。スナップショット保存済みの日は上流を叩かない）
+// mode="latest": 直近1日で近似（軽い）
+// avgVol は同じ期間の平均出来高（信用残の日数換算用）
+async function buildLiquidityAndClose(days = 20, idTokenOverride, mode = "avg", asOf = null) {
   if (mode === "latest") {
-    const dates = await getRecentTradingDates(1, idTokenOverride);
-    if (dates.length === 0) return { avgTV: new Map(), latestClose: new Map() };
+    const dates = await getRecentTradingDates(1, idTokenOverride, asOf);
+    if (dates.length === 0) return { avgTV: new Map(), latestClose: new Map(), avgVol: new Map() };
     const items = await fetchDailyQuotesByDate(dates[0], idTokenOverride);
     const latestClose = new Map(items.map(it => [codeStr(it.code), it.close]));
     const avgTV = new Map(items.map(it => [codeStr(it.code), Number(it.turnover) || 0]));
-    return { avgTV, latestClose };
+    const avgVol = new Map(items.map(it => [codeStr(it.code), Number(it.volume) || 0]));
+    return { avgTV, latestClose, avgVol };
   }
-  // 旧来: 平均モード（重いが精度高）
-  const dates = await getRecentTradingDates(days, idTokenOverride);
-  if (dates.length === 0) return { avgTV: new Map(), latestClose: new Map() };
-  const sumTV = new Map();
+  // 平均モード：保存済みの日はストアから、未保存の日だけ上流から取得
+  const dates = await getRecentTradingDates(days, idTokenOverride, asOf);
+  if (dates.length === 0) return { avgTV: new Map(), latestClose: new Map(), avgVol: new Map() };
+  const sumTV = new Map(), sumVol = new Map();
   let lastDayClose = new Map();
   for (let i = 0; i < dates.length; i++) {
     const dt = dates[i];
@@ -296,81 +1409,433 @@ async function buildLiquidityAndClose(days = 20, idTokenOverride, mode = "latest
     if (i === dates.length - 1) lastDayClose = new Map(items.map(it => [codeStr(it.code), it.close]));
     for (const it of items) {
       const code = codeStr(it.code);
+      const vol = it.volume || 0;
+      if (Number.isFinite(vol)) sumVol.set(code, (sumVol.get(code) || 0) + vol);
       const v = it.turnover || 0;
       if (!Number.isFinite(v)) continue;
       sumTV.set(code, (sumTV.get(code) || 0) + v);
     }
   }
-  const avgTV = new Map();
+  const avgTV = new Map(), avgVol = new Map();
   for (const [code, total] of sumTV.entries()) avgTV.set(code, total / dates.length);
-  return { avgTV, latestClose: lastDayClose };
+  for (const [code, total] of sumVol.entries()) avgVol.set(code, total / dates.length);
+  return { avgTV, latestClose: lastDayClose, avgVol };
 }
 
-// 3/6/12か月モメンタム（営業日ベース近似）
-async function buildMomentumSnapshots(idTokenOverride) {
-  const dates = await getRecentTradingDates(260, idTokenOverride);
+// 3/6/12か月モメンタム（営業日ベース近似）。topix は同じ日付間の TOPIX リターン（相対力用）
+async function buildMomentumSnapshots(idTokenOverride, asOf = null) {
+  const dates = await getRecentTradingDates(260, idTokenOverride, asOf);
   if (dates.length === 0) return { d0: new Map() };
   const idx  = dates.length - 1;
   const idx3 = Math.max(0, dates.length - 63);
   const idx6 = Math.max(0, dates.length - 126);
   const idx12= Math.max(0, dates.length - 252);
 
-  const [dq0, dq3, dq6, dq12] = await Promise.all([
-    fetchDailyQuotesByDate(dates[idx], idTokenOverride),
-    fetchDailyQuotesByDate(dates[idx3], idTokenOverride),
-    fetchDailyQuotesByDate(dates[idx6], idTokenOverride),
-    fetchDailyQuotesByDate(dates[idx12], idTokenOverride),
+  // 分割・併合をまたいでも比べられるよう、4日とも当日取得分の調整後終値を使う（保存済みスナップショットは調整が古いことがある）
+  const [dq0, dq3, dq6, dq12, topix] = await Promise.all([
+    fetchDailyQuotesByDate(dates[idx], idTokenOverride, { vintage: true }),
+    fetchDailyQuotesByDate(dates[idx3], idTokenOverride, { vintage: true }),
+    fetchDailyQuotesByDate(dates[idx6], idTokenOverride, { vintage: true }),
+    fetchDailyQuotesByDate(dates[idx12], idTokenOverride, { vintage: true }),
+    // TOPIX が取れなくてもモメンタム自体は返す（相対力は null）
+    fetchTopixHistory(dates[idx12], dates[idx], idTokenOverride).catch(e => (dlog("topix fetch failed", e.message), [])),
   ]);
-  const toMap = (arr) => new Map(arr.map(it => [codeStr(it.code), it.close]));
+  const toMap = (arr) => new Map(arr.map(it => [codeStr(it.code), it.adj_close ?? it.close]));
+  const tc = new Map(topix.map(b => [b.date, b.close]));
+  const tRet = (d) => calcReturn(tc.get(dates[idx]), tc.get(d));
   return { d0: toMap(dq0), d3: toMap(dq3), d6: toMap(dq6), d12: toMap(dq12),
+           topix: { m3: tRet(dates[idx3]), m6: tRet(dates[idx6]), m12: tRet(dates[idx12]) },
            dates: { d0: dates[idx], d3: dates[idx3], d6: dates[idx6], d12: dates[idx12] } };
 }
+// 銘柄の絶対モメンタムと対 TOPIX 超過リターン（rs_*）
+function momentumFields(snaps, code) {
+  const d0 = snaps.d0.get(code);
+  const mom_3m = calcReturn(d0, snaps.d3?.get(code));
+  const mom_6m = calcReturn(d0, snaps.d6?.get(code));
+  const mom_12m = calcReturn(d0, snaps.d12?.get(code));
+  const rs = (m, t) => (m != null && t != null ? m - t : null);
+  return {
+    mom_3m, mom_6m, mom_12m,
+    rs_3m: rs(mom_3m, snaps.topix?.m3), rs_6m: rs(mom_6m, snaps.topix?.m6), rs_12m: rs(mom_12m, snaps.topix?.m12)
+  };
+}
+function median(vals) {
+  const a = vals.filter(v => v != null && Number.isFinite(v)).sort((x, y) => x - y);
+  if (a.length === 0) return null;
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
 function calcReturn(nowClose, pastClose) {
   const a = toNum(nowClose), b = toNum(pastClose);
   if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return null;
   return a / b - 1;
 }
 
-// statements（EPS/BPS/DPS の簡易要約）
-// ---- 強化版：財務の値取得（キー揺れ対応 + あいまい一致） ----
-function numFrom(obj, options) {
-  // options: { aliases?: string[], regexKeys?: RegExp[], coerce?: (n)=>number|null }
-  if (!obj || typeof obj !== "object") return null;
-  const { aliases = [], regexKeys = [], coerce } = options || {};
-
-  // 1) 厳密キー（大文字小文字＆スネーク/キャメル差吸収）
-  const norm = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
-  const normMap = new Map();
-  for (const k of Object.keys(obj)) normMap.set(norm(k), k);
-
-  for (const a of aliases) {
-    const k = normMap.get(norm(a));
-    if (k != null) {
-      const v = obj[k];
-      if (v !== "" && v !== "-" && v !== "*" && v != null && Number.isFinite(Number(v))) {
-        const n = Number(v);
-        return coerce ? coerce(n) : n;
-      }
+// -------------------- テクニカル指標（OHLCV 昇順配列 → 指標系列。ウォームアップ中は null）
+function smaSeries(vals, n) {
+  const out = new Array(vals.length).fill(null);
+  let sum = 0, nulls = 0;
+  for (let i = 0; i < vals.length; i++) {
+    const v = vals[i];
+    if (v == null) nulls++; else sum += v;
+    if (i >= n) {
+      const o = vals[i - n];
+      if (o == null) nulls--; else sum -= o;
     }
+    if (i >= n - 1 && nulls === 0) out[i] = sum / n;
   }
-
-  // 2) 正規表現でキー名を走査（例：/book.*value.*per.*share/i）
-  if (regexKeys.length) {
-    for (const k of Object.keys(obj)) {
-      for (const re of regexKeys) {
-        if (re.test(k)) {
-          const v = obj[k];
-          if (v !== "" && v !== "-" && v !== "*" && v != null && Number.isFinite(Number(v))) {
-            const n = Number(v);
-            return coerce ? coerce(n) : n;
-          }
-        }
-      }
+  return out;
+}
+// 先頭 n 個（null を除く）の単純平均で初期化
+function emaSeries(vals, n) {
+  const out = new Array(vals.length).fill(null);
+  const k = 2 / (n + 1);
+  let prev = null, seen = 0, seed = 0;
+  for (let i = 0; i < vals.length; i++) {
+    const v = vals[i];
+    if (v == null) continue;
+    if (prev == null) {
+      seed += v; seen++;
+      if (seen === n) { prev = seed / n; out[i] = prev; }
+      continue;
+    }
+    prev = prev + k * (v - prev);
+    out[i] = prev;
+  }
+  return out;
+}
+// Wilder 平滑
+function rsiSeries(closes, n) {
+  const out = new Array(closes.length).fill(null);
+  let avgG = 0, avgL = 0;
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i] == null || closes[i - 1] == null) continue;
+    const d = closes[i] - closes[i - 1];
+    const g = Math.max(0, d), l = Math.max(0, -d);
+    if (i <= n) {
+      avgG += g / n; avgL += l / n;
+      if (i < n) continue;
+    } else {
+      avgG = (avgG * (n - 1) + g) / n;
+      avgL = (avgL * (n - 1) + l) / n;
+    }
+    out[i] = avgL === 0 ? 100 : 100 - 100 / (1 + avgG / avgL);
+  }
+  return out;
+}
+function atrSeries(rows, n) {
+  const out = new Array(rows.length).fill(null);
+  let atr = null, sum = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const { high: h, low: l } = rows[i];
+    const pc = rows[i - 1].close;
+    if (h == null || l == null || pc == null) continue;
+    const tr = Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc));
+    if (i <= n) {
+      sum += tr;
+      if (i === n) { atr = sum / n; out[i] = atr; }
+      continue;
+    }
+    atr = (atr * (n - 1) + tr) / n;
+    out[i] = atr;
+  }
+  return out;
+}
+function stdevSeries(vals, n, mean) {
+  return vals.map((_, i) => {
+    if (mean[i] == null) return null;
+    let ss = 0;
+    for (let j = i - n + 1; j <= i; j++) ss += (vals[j] - mean[i]) ** 2;
+    return Math.sqrt(ss / n);
+  });
+}
+function rollingExtreme(vals, n, fn) {
+  return vals.map((_, i) => {
+    if (i < n - 1) return null;
+    const w = vals.slice(i - n + 1, i + 1).filter(v => v != null);
+    return w.length ? fn(...w) : null;
+  });
+}
+
+const WEEKS52_DAYS = 245; // 52週 ≒ 245営業日
+// 指標指定："sma:25,rsi:14,macd,bb:20,atr:14,hl52,volratio:20"（macd:12:26:9 / bb:20:2 のように引数可）
+const INDICATORS = {
+  sma:      { args: [25] },
+  ema:      { args: [25] },
+  rsi:      { args: [14] },
+  macd:     { args: [12, 26, 9] },
+  bb:       { args: [20, 2] },
+  atr:      { args: [14] },
+  hl52:     { args: [] },
+  volratio: { args: [20] }
+};
+const DEFAULT_INDICATORS = "sma:25,sma:75,sma:200,rsi:14,macd,bb:20,atr:14,hl52,volratio:20";
+const INDICATOR_MAX_WINDOW = 400; // 期間（営業日数）の上限。取得する履歴の長さもこれで決まる
+
+function parseIndicatorSpec(str) {
+  const out = [];
+  for (const tok of String(str || DEFAULT_INDICATORS).split(",").map(t => t.trim().toLowerCase()).filter(Boolean)) {
+    const [name, ...rest] = tok.split(":");
+    const def = INDICATORS[name];
+    if (!def) throw new Error(`unknown indicator: ${name}`);
+    const args = def.args.map((d, i) => {
+      if (rest[i] == null || rest[i] === "") return d;
+      const n = Number(rest[i]);
+      // bb の2つ目（σの倍率）以外は期間
+      if (name === "bb" && i === 1) {
+        if (!Number.isFinite(n) || n <= 0 || n > 10) throw new Error(`invalid argument for ${name}: ${rest[i]} (0-10)`);
+      } else if (!Number.isInteger(n) || n < 1 || n > INDICATOR_MAX_WINDOW) {
+        throw new Error(`invalid argument for ${name}: ${rest[i]} (integer 1-${INDICATOR_MAX_WINDOW})`);
+      }
+      return n;
+    });
+    out.push({ name, args });
+  }
+  return out;
+}
+
+// 必要な営業日数（EMA 収束分の余裕込み）
+function indicatorLookback(specs) {
+  let n = 30;
+  for (const { name, args } of specs) {
+    if (name === "hl52") n = Math.max(n, WEEKS52_DAYS + 5);
+    else if (name === "ema" || name === "macd" || name === "rsi" || name === "atr") n = Math.max(n, Math.max(...args) * 3 + 10);
+    else n = Math.max(n, Math.max(...args) + 5);
+  }
+  return n;
+}
+
+// → { 名前: 系列 }（sma25, above_sma25, rsi14, macd, macd_signal, macd_hist, bb20_upper, atr14, dist_high52, volratio20 …）
+function computeIndicatorSeries(rows, specs) {
+  const close = rows.map(r => r.close);
+  const out = {};
+  for (const { name, args } of specs) {
+    if (name === "sma" || name === "ema") {
+      const [n] = args;
+      const s = (name === "sma" ? smaSeries : emaSeries)(close, n);
+      out[`${name}${n}`] = s;
+      out[`above_${name}${n}`] = s.map((v, i) => (v == null || close[i] == null ? null : close[i] > v));
+    } else if (name === "rsi") {
+      out[`rsi${args[0]}`] = rsiSeries(close, args[0]);
+    } else if (name === "macd") {
+      const [f, sl, sg] = args;
+      const ef = emaSeries(close, f), es = emaSeries(close, sl);
+      const m = close.map((_, i) => (ef[i] == null || es[i] == null ? null : ef[i] - es[i]));
+      const sig = emaSeries(m, sg);
+      out.macd = m;
+      out.macd_signal = sig;
+      out.macd_hist = m.map((v, i) => (v == null || sig[i] == null ? null : v - sig[i]));
+    } else if (name === "bb") {
+      const [n, k] = args;
+      const mid = smaSeries(close, n);
+      const sd = stdevSeries(close, n, mid);
+      const up = mid.map((v, i) => (v == null ? null : v + k * sd[i]));
+      const lo = mid.map((v, i) => (v == null ? null : v - k * sd[i]));
+      out[`bb${n}_mid`] = mid;
+      out[`bb${n}_upper`] = up;
+      out[`bb${n}_lower`] = lo;
+      out[`bb${n}_pct_b`] = close.map((c, i) => (up[i] == null || up[i] === lo[i] ? null : (c - lo[i]) / (up[i] - lo[i])));
+      out[`bb${n}_width`] = mid.map((v, i) => (v ? (up[i] - lo[i]) / v : null));
+    } else if (name === "atr") {
+      const a = atrSeries(rows, args[0]);
+      out[`atr${args[0]}`] = a;
+      out[`atr${args[0]}_pct`] = a.map((v, i) => (v == null || !close[i] ? null : v / close[i]));
+    } else if (name === "hl52") {
+      const hi = rollingExtreme(rows.map(r => r.high ?? r.close), WEEKS52_DAYS, Math.max);
+      const lo = rollingExtreme(rows.map(r => r.low ?? r.close), WEEKS52_DAYS, Math.min);
+      out.high52 = hi;
+      out.low52 = lo;
+      out.dist_high52 = close.map((c, i) => calcReturn(c, hi[i]));
+      out.dist_low52 = close.map((c, i) => calcReturn(c, lo[i]));
+    } else if (name === "volratio") {
+      // 当日出来高 ÷ 前日までの n 日平均
+      const [n] = args;
+      const avg = smaSeries(rows.map(r => r.volume), n);
+      out[`volratio${n}`] = rows.map((r, i) => (i === 0 || !avg[i - 1] || r.volume == null ? null : r.volume / avg[i - 1]));
+    }
+  }
+  return out;
+}
+function latestIndicators(series) {
+  const o = {};
+  for (const [k, arr] of Object.entries(series)) o[k] = arr.length ? arr[arr.length - 1] : null;
+  return o;
+}
+
+// 銘柄の直近指標（スクリーニング用）。lookback 営業日 ≒ ×1.5 暦日で取得
+async function fetchLatestIndicators(code, specs, idTokenOverride, asOf = null) {
+  const lookback = indicatorLookback(specs);
+  const to = asOf || jstDateStr();
+  const from = new Date(new Date(`${to}T00:00:00Z`).getTime() - Math.ceil(lookback * 1.5 + 10) * DAY).toISOString().slice(0, 10);
+  const rows = await fetchPriceHistory(code, from, to, idTokenOverride);
+  return latestIndicators(computeIndicatorSeries(rows, specs));
+}
+
+// スクリーン用テクニカル条件：rsi14_lt / rsi14_gt / sma200_gt … / above_sma200=1|0
+const TECH_FIELD_RE = /^(rsi\d+|sma\d+|ema\d+|atr\d+|atr\d+_pct|volratio\d+|dist_high52|dist_low52|macd_hist)_(lt|gt)$/;
+function parseTechFilters(searchParams) {
+  const conds = [], errors = [];
+  for (const [k, v] of searchParams.entries()) {
+    if (v === "") continue;
+    let m = k.match(TECH_FIELD_RE);
+    if (m && techWindowError(m[1])) { errors.push({ field: k, message: techWindowError(m[1]) }); continue; }
+    if (m) {
+      const r = coerceParam({ type: "number" }, v);
+      if (r.error) errors.push({ field: k, message: r.error });
+      else conds.push({ field: m[1], op: m[2], value: r.value });
+      continue;
+    }
+    m = k.match(/^above_(sma|ema)(\d+)$/);
+    if (m && techWindowError(k)) { errors.push({ field: k, message: techWindowError(k) }); continue; }
+    if (m) {
+      const r = coerceParam({ type: "boolean" }, v);
+      if (r.error) errors.push({ field: k, message: r.error });
+      else conds.push({ field: `above_${m[1]}${m[2]}`, op: "eq", value: r.value });
+    }
+  }
+  if (errors.length) throw paramError(errors);
+  return conds;
+}
+// 条件が参照する指標だけ計算する
+function techSpecsFor(conds) {
+  const specs = [], seen = new Set();
+  const add = (name, args) => {
+    const key = `${name}:${args.join(":")}`;
+    if (!seen.has(key)) { seen.add(key); specs.push({ name, args }); }
+  };
+  for (const { field } of conds) {
+    let m;
+    if ((m = field.match(/^(?:above_)?(sma|ema)(\d+)$/))) add(m[1], [Number(m[2])]);
+    else if ((m = field.match(/^rsi(\d+)$/))) add("rsi", [Number(m[1])]);
+    else if ((m = field.match(/^atr(\d+)(_pct)?$/))) add("atr", [Number(m[1])]);
+    else if ((m = field.match(/^volratio(\d+)$/))) add("volratio", [Number(m[1])]);
+    else if ((m = field.match(/^bb(\d+)_(mid|upper|lower|pct_b|width)$/))) add("bb", [Number(m[1]), INDICATORS.bb.args[1]]);
+    else if (/^(dist_)?(high|low)52$/.test(field)) add("hl52", []);
+    else if (/^macd(_signal|_hist)?$/.test(field)) add("macd", INDICATORS.macd.args);
+  }
+  return specs;
+}
+const TECH_NAME_RE = /^((above_)?(sma|ema)\d+|rsi\d+|atr\d+(_pct)?|volratio\d+|bb\d+_(mid|upper|lower|pct_b|width)|(dist_)?(high|low)52|macd(_signal|_hist)?)$/;
+// 項目名に含まれる期間（sma200 の 200 など）が範囲外ならその理由
+function techWindowError(name) {
+  const m = String(name).match(/^(?:above_)?(?:sma|ema|rsi|atr|volratio|bb)(\d+)/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return n >= 1 && n <= INDICATOR_MAX_WINDOW ? null : `indicator window must be an integer between 1 and ${INDICATOR_MAX_WINDOW}`;
+}
+function isTechField(name) { return TECH_NAME_RE.test(name) && !techWindowError(name); }
+function techPass(ind, conds) {
+  for (const { field, op, value } of conds) {
+    const v = ind[field];
+    if (v == null) return false;
+    if (op === "lt" && !(v < value)) return false;
+    if (op === "gt" && !(v > value)) return false;
+    if (op === "eq" && v !== value) return false;
+  }
+  return true;
+}
+
+// statements（EPS/BPS/DPS の簡易要約）
+// ---- 強化版：財務の値取得（キー揺れ対応 + あいまい一致） ----
+function numFrom(obj, options) {
+  // options: { aliases?: string[], regexKeys?: RegExp[], coerce?: (n)=>number|null }
+  if (!obj || typeof obj !== "object") return null;
+  const { aliases = [], regexKeys = [], coerce } = options || {};
+
+  // 1) 厳密キー（大文字小文字＆スネーク/キャメル差吸収）
+  const norm = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const normMap = new Map();
+  for (const k of Object.keys(obj)) normMap.set(norm(k), k);
+
+  for (const a of aliases) {
+    const k = normMap.get(norm(a));
+    if (k != null) {
+      const v = obj[k];
+      if (v !== "" && v !== "-" && v !== "*" && v != null && Number.isFinite(Number(v))) {
+        const n = Number(v);
+        return coerce ? coerce(n) : n;
+      }
+    }
+  }
+
+  // 2) 正規表現でキー名を走査（例：/book.*value.*per.*share/i）
+  if (regexKeys.length) {
+    for (const k of Object.keys(obj)) {
+      for (const re of regexKeys) {
+        if (re.test(k)) {
+          const v = obj[k];
+          if (v !== "" && v !== "-" && v !== "*" && v != null && Number.isFinite(Number(v))) {
+            const n = Number(v);
+            return coerce ? coerce(n) : n;
+          }
+        }
+      }
     }
   }
   return null;
 }
 
+// 期末発行済株式数（自己株含む/含まない等いろいろ）
+const ISSUED_SHARES_FIELD = {
+  aliases: [
+    "NumberOfIssuedAndOutstandingSharesAtTheEndOfFiscalYearIncludingTreasuryStock",
+    "NumberOfIssuedAndOutstandingSharesAtEndOfFiscalYearIncludingTreasuryStock",
+    "NumberOfIssuedAndOutstandingSharesAtEndOfFiscalYear",
+    "IssuedShares",
+    "CommonSharesOutstanding",
+    "NumberOfShares"
+  ],
+  regexKeys: [
+    /issued.*outstanding.*shares.*(fiscal|year|end)?/i,
+    /common.*shares.*outstanding/i,
+    /number.*of.*shares/i
+  ]
+};
+// 期末自己株式数（発行済株式数の "IncludingTreasuryStock" に当たらないよう issued を除外）
+const TREASURY_SHARES_FIELD = {
+  aliases: ["NumberOfTreasuryStockAtTheEndOfFiscalYear", "TreasuryShares", "TreasuryStock"],
+  regexKeys: [/^(?!.*issued).*treasury.*(stock|shares)/i]
+};
+const SALES_FIELD = {
+  aliases: ["NetSales", "Revenue", "OperatingRevenue", "Sales"],
+  regexKeys: [/^(?!.*forecast).*net.*sales/i, /^(?!.*forecast).*revenue/i]
+};
+// EBIT の代替として営業利益
+const OP_FIELD = {
+  aliases: ["OperatingProfit", "OperatingIncome"],
+  regexKeys: [/^(?!.*forecast).*operating.*(profit|income)/i]
+};
+const CASH_FIELD = {
+  aliases: ["CashAndEquivalents", "CashAndCashEquivalents"],
+  regexKeys: [/^cash.*equivalents/i]
+};
+// 有利子負債（J-Quants の標準項目には無い。キーがあれば使う）
+const DEBT_FIELD = {
+  aliases: ["InterestBearingDebt", "InterestBearingLiabilities"],
+  regexKeys: [/interest.?bearing.*(debt|liabilit)/i]
+};
+
+// 値を持つ最新期の値（BS 項目が四半期で空欄のことがあるため）
+function latestValue(periods, field) {
+  for (const s of periods) {
+    const v = numFrom(s, field);
+    if (v != null) return { value: v, period: s };
+  }
+  return { value: null, period: null };
+}
+
+// 自己株控除後の株式数
+function sharesOutstanding(periods) {
+  for (const s of periods) {
+    const issued = numFrom(s, ISSUED_SHARES_FIELD);
+    if (issued == null || issued <= 0) continue;
+    const treasury = numFrom(s, TREASURY_SHARES_FIELD);
+    const out = issued - (treasury != null && treasury > 0 && treasury < issued ? treasury : 0);
+    return { issued, treasury, outstanding: out, period_end: periodEnd(s) || null };
+  }
+  return { issued: null, treasury: null, outstanding: null, period_end: null };
+}
+
 // BPS を Equity / Shares から算出（スケール異常に軽い補正ロジック付き）
 function deriveBpsFromEquityShares(latest) {
   if (!latest) return null;
@@ -385,21 +1850,7 @@ function deriveBpsFromEquityShares(latest) {
     ]
   });
 
-  // 期末発行株式数（自己株含む/含まない等いろいろ）
-  let shares = numFrom(latest, {
-    aliases: [
-      "NumberOfIssuedAndOutstandingSharesAtEndOfFiscalYearIncludingTreasuryStock",
-      "NumberOfIssuedAndOutstandingSharesAtEndOfFiscalYear",
-      "IssuedShares",
-      "CommonSharesOutstanding",
-      "NumberOfShares"
-    ],
-    regexKeys: [
-      /issued.*outstanding.*shares.*(fiscal|year|end)?/i,
-      /common.*shares.*outstanding/i,
-      /number.*of.*shares/i
-    ]
-  });
+  const shares = numFrom(latest, ISSUED_SHARES_FIELD);
 
   if (equity == null || shares == null || shares <= 0) return null;
 
@@ -415,286 +1866,2714 @@ function deriveBpsFromEquityShares(latest) {
       break;
     }
   }
-  return best;
+  return best;
+}
+
+// ---- TTM エンジン ----
+// J-Quants の四半期値は期首からの累計（1Q/2Q/3Q/FY）。予想修正・配当予想修正の開示も混ざる。
+// → 実績の決算短信だけを (会計年度開始日, 期区分) で重複除去し、
+//    TTM = 前期FY + 当期累計 − 前年同期累計 で求める。
+const PERIOD_ORDER = { "1Q": 1, "2Q": 2, "3Q": 3, "FY": 4 };
+const EPS_FIELD = {
+  aliases: ["EarningsPerShare", "EPS", "eps"],
+  regexKeys: [/^eps$/i, /^(?!.*forecast).*earnings.*per.*share/i]
+};
+const NI_FIELD = {
+  aliases: [
+    "Profit", "ProfitLossAttributableToOwnersOfParent",
+    "NetIncome", "NetIncomeAttributableToOwnersOfParent"
+  ],
+  regexKeys: [/^(?!.*forecast).*profit.*owners.*parent/i, /^(?!.*forecast).*net.*income/i]
+};
+
+function finsStr(s, ...keys) {
+  const v = pick(s, ...keys);
+  return v == null ? "" : String(v);
+}
+function periodType(s) {
+  const t = finsStr(s, "TypeOfCurrentPeriod", "typeOfCurrentPeriod").toUpperCase();
+  return t === "4Q" ? "FY" : t;
+}
+function fiscalYearStart(s) { return finsStr(s, "CurrentFiscalYearStartDate", "currentFiscalYearStartDate"); }
+function periodEnd(s) { return finsStr(s, "CurrentPeriodEndDate", "currentPeriodEndDate"); }
+function disclosedAt(s) {
+  return `${finsStr(s, "DisclosedDate", "disclosedDate")} ${finsStr(s, "DisclosedTime", "disclosedTime")}`;
+}
+
+// 実績の決算短信か（EarnForecastRevision / DividendForecastRevision 等は除外）
+function isFinancialStatement(s) {
+  const doc = finsStr(s, "TypeOfDocument", "typeOfDocument");
+  if (doc) return /FinancialStatements/i.test(doc);
+  return !!PERIOD_ORDER[periodType(s)]; // 書類種別が無いデータは期区分で判定
+}
+
+// 訂正・再提出を除去：(会計年度開始日, 期区分) ごとに最後の開示だけ残す。期末日の降順で返す。
+function dedupeStatements(statements) {
+  const m = new Map();
+  for (const s of statements || []) {
+    if (!isFinancialStatement(s)) continue;
+    const fy = fiscalYearStart(s), pt = periodType(s);
+    if (!fy || !PERIOD_ORDER[pt]) continue;
+    const k = `${fy}|${pt}`;
+    const cur = m.get(k);
+    if (!cur || disclosedAt(s).localeCompare(disclosedAt(cur)) >= 0) m.set(k, s);
+  }
+  return [...m.values()].sort((a, b) =>
+    periodEnd(b).localeCompare(periodEnd(a)) ||
+    fiscalYearStart(b).localeCompare(fiscalYearStart(a)) ||
+    PERIOD_ORDER[periodType(b)] - PERIOD_ORDER[periodType(a)]);
+}
+
+function describePeriod(s) {
+  return {
+    type: periodType(s),
+    fiscal_year_start: fiscalYearStart(s) || null,
+    period_end: periodEnd(s) || null,
+    disclosed_date: finsStr(s, "DisclosedDate", "disclosedDate") || null,
+    disclosed_time: finsStr(s, "DisclosedTime", "disclosedTime") || null,
+    document: finsStr(s, "TypeOfDocument", "typeOfDocument") || null
+  };
+}
+
+// 直前の会計年度の FY（期末日と当期開始日が連続しているものだけ。決算期変更などは対象外）
+function priorFiscalYear(periods, fyStart) {
+  const cands = periods.filter(s => periodType(s) === "FY" && fiscalYearStart(s) < fyStart)
+    .sort((a, b) => fiscalYearStart(b).localeCompare(fiscalYearStart(a)));
+  const fy = cands[0];
+  if (!fy) return null;
+  const end = Date.parse(finsStr(fy, "CurrentFiscalYearEndDate", "currentFiscalYearEndDate") || periodEnd(fy));
+  const start = Date.parse(fyStart);
+  if (Number.isFinite(end) && Number.isFinite(start) && Math.abs(start - end) > 7 * DAY) return null;
+  return fy;
+}
+
+// 累計値 → 単独四半期（Qn = 累計n − 累計n-1、Q4 = FY − 3Q）。期末日の降順。
+function discreteQuarters(periods, field) {
+  const byKey = new Map(periods.map(s => [`${fiscalYearStart(s)}|${periodType(s)}`, s]));
+  const prevType = { "2Q": "1Q", "3Q": "2Q", "FY": "3Q" };
+  const out = [];
+  for (const s of periods) {
+    const v = numFrom(s, field);
+    if (v == null) continue;
+    const pt = periodType(s);
+    let q = v;
+    if (pt !== "1Q") {
+      const p = byKey.get(`${fiscalYearStart(s)}|${prevType[pt]}`);
+      const pv = p ? numFrom(p, field) : null;
+      if (pv == null) continue;
+      q = v - pv;
+    }
+    out.push({ fiscal_year_start: fiscalYearStart(s), quarter: `Q${PERIOD_ORDER[pt]}`, period_end: periodEnd(s) || null, value: q });
+  }
+  return out;
+}
+
+// periods は dedupeStatements 済み。method:
+//   "fy"               … 最新が通期 → そのまま
+//   "fy+ytd-prior_ytd" … 前期FY + 当期累計 − 前年同期累計
+//   "annualized_ytd"   … 前期データ不足時の代替（累計 × 4 / 四半期数）
+function computeTtm(periods, field) {
+  const latest = periods.find(s => numFrom(s, field) != null);
+  if (!latest) return { value: null, method: null, periods: [] };
+  const ytd = numFrom(latest, field);
+  const pt = periodType(latest);
+  if (pt === "FY") return { value: ytd, method: "fy", periods: [describePeriod(latest)] };
+
+  const fy = priorFiscalYear(periods, fiscalYearStart(latest));
+  const same = fy && periods.find(s => periodType(s) === pt && fiscalYearStart(s) === fiscalYearStart(fy));
+  const fyV = fy ? numFrom(fy, field) : null;
+  const sameV = same ? numFrom(same, field) : null;
+  if (fyV != null && sameV != null) {
+    return {
+      value: fyV + ytd - sameV,
+      method: "fy+ytd-prior_ytd",
+      periods: [describePeriod(fy), describePeriod(latest), describePeriod(same)]
+    };
+  }
+  return { value: ytd * 4 / PERIOD_ORDER[pt], method: "annualized_ytd", periods: [describePeriod(latest)] };
+}
+
+// ---- 置き換え版 summarizeFins（EPS/BPS/DPS/ROE/ROA を最大限埋める） ----
+function summarizeFins(statements) {
+  if (!Array.isArray(statements) || statements.length === 0) {
+    return {
+      eps_ttm: null, ni_ttm: null, bps: null, dps: null, roe: null, roa: null, ttm: null,
+      sales_ttm: null, operating_profit_ttm: null, shares_outstanding: null, cash: null, debt: null, source: null
+    };
+  }
+
+  // 開示日降順（配当予想は修正開示も含めて最新を見る）
+  const items = [...statements].sort((a, b) => {
+    const da = String(a.DisclosedDate || a.disclosedDate || "");
+    const db = String(b.DisclosedDate || b.disclosedDate || "");
+    return db.localeCompare(da);
+  });
+
+  // 実績の決算短信（重複除去・期末日降順）。BS 項目はここの最新/1期前を使う
+  const periods = dedupeStatements(statements);
+  const latest = periods[0] || {};
+  const prev   = periods[1] || {};
+
+  // EPS / 純利益 (TTM)
+  const epsT = computeTtm(periods, EPS_FIELD);
+  const niT  = computeTtm(periods, NI_FIELD);
+  const salesT = computeTtm(periods, SALES_FIELD);
+  const opT  = computeTtm(periods, OP_FIELD);
+  const eps_ttm = epsT.value;
+
+  // BPS … 1) 直接 per-share 値 → 2) Equity/Shares から算出
+  let bps =
+    numFrom(latest, {
+      aliases: ["BookValuePerShare", "NetAssetsPerShare", "BPS", "bps", "EquityPerShare"],
+      regexKeys: [/book.*value.*per.*share/i, /net.*assets.*per.*share/i, /\bbps\b/i, /equity.*per.*share/i]
+    });
+  if (bps == null) bps = deriveBpsFromEquityShares(latest);
+
+  // DPS … 実績 > 予想。最新の開示（配当予想の修正を含む）から、無ければ最新の決算短信から。
+  // それも無ければ四半期の CashDividendsPaidPerShare を合算（年換算の代替）
+  const dpsSpec = {
+    aliases: [
+      "ResultDividendPerShareAnnual",
+      "ForecastDividendPerShareAnnual",
+      "DividendPerShare", "DPS", "dps"
+    ],
+    regexKeys: [/dividend.*per.*share/i]
+  };
+  let dps = numFrom(items[0] || {}, dpsSpec) ?? numFrom(latest, dpsSpec);
+  if (dps == null) {
+    let sum = 0, seen = 0;
+    for (let i = 0; i < Math.min(4, items.length); i++) {
+      const q = numFrom(items[i], { aliases: ["CashDividendsPaidPerShare"], regexKeys: [/cash.*dividends.*per.*share/i] });
+      if (q != null) { sum += q; seen++; }
+    }
+    if (seen > 0) dps = sum;
+  }
+
+  // ROE/ROA … 近似：TTM純利益 / ((期末 + 1期前末)/2)
+  const ni_ttm = niT.value;
+
+  const eq_end = numFrom(latest, {
+    aliases: ["Equity", "NetAssets", "TotalEquity", "EquityAttributableToOwnersOfParent"],
+    regexKeys: [/^equity$/i, /net.?assets/i, /total.?equity/i, /equity.?attributable.*parent/i]
+  });
+  const eq_begin = numFrom(prev, {
+    aliases: ["Equity", "NetAssets", "TotalEquity", "EquityAttributableToOwnersOfParent"],
+    regexKeys: [/^equity$/i, /net.?assets/i, /total.?equity/i, /equity.?attributable.*parent/i]
+  });
+
+  const ta_end = numFrom(latest, { aliases: ["TotalAssets"], regexKeys: [/total.*assets/i] });
+  const ta_begin = numFrom(prev,   { aliases: ["TotalAssets"], regexKeys: [/total.*assets/i] });
+
+  const eq_avg = (eq_end != null && eq_begin != null) ? (eq_end + eq_begin) / 2 : null;
+  const ta_avg = (ta_end != null && ta_begin != null) ? (ta_end + ta_begin) / 2 : null;
+
+  let roe = null, roa = null;
+  if (ni_ttm != null && eq_avg && eq_avg !== 0) roe = ni_ttm / eq_avg;
+  if (ni_ttm != null && ta_avg && ta_avg !== 0) roa = ni_ttm / ta_avg;
+
+  return {
+    eps_ttm, ni_ttm, bps, dps, roe, roa,
+    sales_ttm: salesT.value,
+    operating_profit_ttm: opT.value,
+    shares_outstanding: sharesOutstanding(periods).outstanding,
+    cash: latestValue(periods, CASH_FIELD).value,
+    debt: latestValue(periods, DEBT_FIELD).value,
+    ttm: {
+      eps: { method: epsT.method, periods: epsT.periods },
+      ni: { method: niT.method, periods: niT.periods }
+    },
+    // BS 項目の出所（最新の実績決算短信）
+    source: periods[0] ? describePeriod(periods[0]) : null
+  };
+}
+
+// 株価 × summarizeFins → バリュエーション指標
+// EV = 時価総額 + 有利子負債 − 現金（取れた項目だけ。ev_basis に内訳）
+function valuationMetrics(close, s) {
+  const out = {
+    per: null, pbr: null, dividend_yield: null, earnings_yield: null,
+    market_cap: null, ev: null, ev_basis: null, ev_sales: null, ev_ebit: null
+  };
+  if (!Number.isFinite(close) || !s) return out;
+  if (s.eps_ttm != null && s.eps_ttm !== 0) out.per = close / s.eps_ttm;
+  if (s.bps != null && s.bps !== 0) out.pbr = close / s.bps;
+  if (s.dps != null && close !== 0) out.dividend_yield = s.dps / close;
+  if (s.eps_ttm != null && close !== 0) out.earnings_yield = s.eps_ttm / close;
+
+  if (s.shares_outstanding != null && s.shares_outstanding > 0) {
+    out.market_cap = close * s.shares_outstanding;
+    out.ev = out.market_cap + (s.debt ?? 0) - (s.cash ?? 0);
+    out.ev_basis = "mcap" + (s.debt != null ? "+debt" : "") + (s.cash != null ? "-cash" : "");
+    if (s.sales_ttm != null && s.sales_ttm > 0) out.ev_sales = out.ev / s.sales_ttm;
+    if (s.operating_profit_ttm != null && s.operating_profit_ttm !== 0) out.ev_ebit = out.ev / s.operating_profit_ttm;
+  }
+  return out;
+}
+
+async function fetchFinsStatementsByCode(code, idTokenOverride) {
+  const j = await jqGET(`/fins/statements?code=${encodeURIComponent(code)}`, idTokenOverride);
+  return j.statements || [];
+}
+
+// -------------------- 財務インデックス（/fins/statements?date= を開示日ごとに一括取得 → 銘柄別にメモリへ）
+// 確定済みの開示日は財務ストア（日足スナップショットと同じアダプタIF。既定 SNAPSHOT_DIR/fins_statements）に保存し、
+// 当日分は保存せず上流キャッシュ経由で読む。to から遡って FINS_INDEX_LOOKBACK_DAYS 暦日の営業日がすべて揃えば ready。
+// ready の間、スクリーン・セクター・ポートフォリオの財務は銘柄別取得の代わりにここから引く（走査上限の対象外）。
+// 初回構築（過去分の一括取り込み）は /api/fins/index/backfill。その後は通常の参照が新しく確定した日を少しずつ取り込み、
+// 取り込みが遅れても新しい側 FINS_INDEX_STALE_DAYS 日までの欠けなら ready のまま使う（stale_days で返す）。
+const FINS_SCHEMA = 1;
+const FINS_INDEX_LOOKBACK_DAYS = 760; // TTM に前期FY・前年同期累計が要るので約2年
+const FINS_MISSING_RECHECK_MS = 10 * MIN; // ストアに無かった日を再確認するまでの間隔（別インスタンスの backfill 分を拾う）
+const FINS_INDEX_CATCHUP_DAYS = 3;       // 通常の参照で取り込む新しい側の未保存日の上限（それより古い日が揃っているときだけ）
+const FINS_INDEX_CATCHUP_BUDGET_MS = 8000;
+const FINS_INDEX_STALE_DAYS = 3;         // 新しい側の未保存日がこの日数以内なら ready
+
+let FINS_STORE; // undefined=未初期化 / null=無効（SNAPSHOT_STORE に従う）
+function finsStore() {
+  if (FINS_STORE !== undefined) return FINS_STORE;
+  const kind = (process.env.SNAPSHOT_STORE || "file").toLowerCase();
+  if (kind === "off" || kind === "none" || kind === "0") FINS_STORE = null;
+  else if (kind === "memory") FINS_STORE = createMemorySnapshotAdapter();
+  else FINS_STORE = createFileSnapshotAdapter(snapshotDir(), "fins_statements", FINS_SCHEMA);
+  return FINS_STORE;
+}
+// 外部アダプタ差し替え用（null で無効化）。メモリ上のインデックスも作り直す
+export function setFinsStore(adapter) { FINS_STORE = adapter || null; FINS_INDEX = null; }
+
+// 空文字の項目は落として保存（pick/numFrom は空文字を欠損扱いするので結果は変わらない）
+function compactStatement(s) {
+  const o = {};
+  for (const [k, v] of Object.entries(s || {})) if (v !== "" && v != null) o[k] = v;
+  return o;
+}
+
+// 開示日の全銘柄分。確定済みの日はストアを優先し、初回取得時に保存する（開示ゼロの日も空配列で保存）
+// opt.refresh=true でストア・キャッシュを無視して取り直し / opt.meta に { pages, truncated }
+async function fetchStatementsByDate(dateStr, idTokenOverride, opt = {}) {
+  const store = finsStore();
+  const closed = isClosedDate(dateStr);
+  if (store && closed && !opt.refresh) {
+    const saved = await store.get(dateStr).catch(e => (dlog("fins store get failed", dateStr, e.message), null));
+    if (saved) return saved;
+  }
+  const meta = opt.meta || {};
+  const arr = await jqGETAll(`/fins/statements?date=${encodeURIComponent(dateStr)}`, idTokenOverride,
+    { key: "statements", noCache: !!opt.refresh, noStore: !!(store && closed), meta });
+  const rows = arr.map(compactStatement);
+  if (store && closed && !meta.truncated) {
+    await store.put(dateStr, rows).catch(e => dlog("fins store put failed", dateStr, e.message));
+  }
+  return rows;
+}
+
+let FINS_INDEX = null; // { byCode, dates: Set<開示日>（保存済みの日のみ）, missing: Map<開示日, 確認時刻>, catchupAt }
+function addFinsDate(idx, date, rows) {
+  if (idx.dates.has(date)) return;
+  idx.dates.add(date);
+  for (const s of rows) {
+    const code = codeStr(pick(s, "LocalCode", "localCode", "Code", "code") || "");
+    if (!code) continue;
+    if (!idx.byCode.has(code)) idx.byCode.set(code, []);
+    idx.byCode.get(code).push(s);
+  }
+}
+
+// to 以前 FINS_INDEX_LOOKBACK_DAYS 暦日の営業日（昇順）。休日の開示は対象外
+async function getDisclosureDates(to, idTokenOverride) {
+  const from = new Date(new Date(`${to}T00:00:00Z`).getTime() - FINS_INDEX_LOOKBACK_DAYS * DAY).toISOString().slice(0, 10);
+  const cal = await jqGET(`/markets/trading_calendar?from=${from}&to=${to}`, idTokenOverride);
+  const biz = (cal.trading_calendar || [])
+    .filter(r => ["1", "2"].includes(String(pick(r, "HolidayDivision", "holidayDivision", "Holiday") || "")))
+    .map(r => normDateStr(pick(r, "Date", "date")));
+  return Array.from(new Set(biz)).sort();
+}
+
+// 未保存の開示日（新しい順に渡す）を上流から取り込んで保存する。limit 件 or deadline まで
+async function fetchFinsDates(idx, dates, idTokenOverride, limit, deadline) {
+  const fetched = [], failed = [];
+  for (const d of dates) {
+    if (fetched.length + failed.length >= limit || now() >= deadline) break;
+    try {
+      const meta = {};
+      const rows = await fetchStatementsByDate(d, idTokenOverride, { refresh: true, meta });
+      if (meta.truncated) throw new Error("truncated");
+      addFinsDate(idx, d, rows);
+      idx.missing.delete(d);
+      fetched.push(d);
+    } catch (e) {
+      failed.push({ date: d, error: e.message });
+    }
+  }
+  return { fetched, failed };
+}
+// 通常の参照からの追いつき（同時に来たリクエストは同じ取り込みを待つ。うまくいかなければ FINS_MISSING_RECHECK_MS 空ける）
+let finsCatchup = null;
+function catchUpFinsIndex(idx, dates, idTokenOverride) {
+  if (finsCatchup) return finsCatchup;
+  if (now() - (idx.catchupAt || 0) < FINS_MISSING_RECHECK_MS) return null;
+  idx.catchupAt = now();
+  finsCatchup = fetchFinsDates(idx, dates, idTokenOverride, FINS_INDEX_CATCHUP_DAYS, now() + FINS_INDEX_CATCHUP_BUDGET_MS)
+    .then(({ fetched, failed }) => {
+      logEvent(failed.length ? "warn" : "info", "fins_index_catchup", { fetched, failed });
+      if (!failed.length) idx.catchupAt = 0;
+    })
+    .finally(() => { finsCatchup = null; });
+  return finsCatchup;
+}
+
+// to（YYYY-MM-DD。省略時は当日）時点の財務インデックスを用意する
+// opt: catchup（上流から埋める未保存日の上限。新しい日から。既定 0＝新しく確定した日の追いつきだけ）, budgetMs,
+//      live（false で当日分を読まない。ready でなければ読まない）, recheck（ストアに無かった日も読み直す）,
+//      lazy（false で追いつきもしない）
+// → { adapter, ready, from, to, days, stored, missing, stale_days, remaining, fetched, failed, codes, statementsFor(code) }
+async function ensureFinsIndex(to, idTokenOverride, opt = {}) {
+  const store = finsStore();
+  if (!store) return { adapter: null, ready: false };
+  const deadline = now() + (opt.budgetMs ?? 25000);
+  const catchup = opt.catchup ?? 0;
+  const dates = await getDisclosureDates(to || jstDateStr(), idTokenOverride);
+  const closedDates = dates.filter(isClosedDate);
+  const idx = FINS_INDEX || (FINS_INDEX = { byCode: new Map(), dates: new Set(), missing: new Map() });
+
+  // 保存済みの日をメモリへ（ストアを読むのは未ロードの日だけ。無かった日は FINS_MISSING_RECHECK_MS の間読み直さない）
+  const missing = [];
+  for (const d of closedDates) {
+    if (idx.dates.has(d)) continue;
+    const checkedAt = idx.missing.get(d);
+    if (!opt.recheck && catchup <= 0 && checkedAt != null && now() - checkedAt < FINS_MISSING_RECHECK_MS) { missing.push(d); continue; }
+    const rows = await store.get(d).catch(e => (dlog("fins store get failed", d, e.message), null));
+    if (rows) { addFinsDate(idx, d, rows); idx.missing.delete(d); }
+    else { missing.push(d); idx.missing.set(d, now()); }
+  }
+  const { fetched, failed } = await fetchFinsDates(idx, [...missing].reverse(), idTokenOverride, catchup, deadline);
+  // 最も古い未保存日から新しい側の日数（それより前は揃っている。日が変わって確定した日などで増える）
+  const staleSpan = () => {
+    const k = closedDates.findIndex(d => !idx.dates.has(d));
+    return k < 0 ? 0 : closedDates.length - k;
+  };
+  // 古い側が揃っていれば、新しく確定した日をこのリクエストで取り込む（初回構築は backfill に任せる）
+  const span = staleSpan();
+  if (catchup <= 0 && opt.lazy !== false && span > 0 && span < closedDates.length) {
+    await catchUpFinsIndex(idx, missing.filter(d => !idx.dates.has(d)).reverse(), idTokenOverride);
+  }
+  const remaining = missing.filter(d => !idx.dates.has(d));
+  const staleDays = staleSpan();
+  const ready = closedDates.length > 0 && staleDays <= FINS_INDEX_STALE_DAYS;
+  // 当日（未確定）の開示は保存せずに読む（上流キャッシュ経由）。揃っていないインデックスは使われないので読まない
+  const today = dates.find(d => !isClosedDate(d));
+  let live = null;
+  if (today && ready && opt.live !== false) {
+    live = { byCode: new Map(), dates: new Set() };
+    try { addFinsDate(live, today, await fetchStatementsByDate(today, idTokenOverride)); }
+    catch (e) { dlog("fins live fetch failed", today, e.message); }
+  }
+
+  return {
+    adapter: store.name,
+    ready,
+    from: dates[0] ?? null, to: dates[dates.length - 1] ?? null,
+    days: closedDates.length, stored: closedDates.length - remaining.length, missing: remaining.length, stale_days: staleDays,
+    remaining, fetched, failed, codes: idx.byCode.size,
+    statementsFor(code) {
+      const a = idx.byCode.get(code) || [];
+      const b = live?.byCode.get(code);
+      return b ? a.concat(b) : a;
+    }
+  };
+}
+// 財務インデックスが ready ならそこから、そうでなければ銘柄別に取得
+async function finsStatementsFor(code, finsIdx, idTokenOverride) {
+  return finsIdx?.ready ? finsIdx.statementsFor(code) : fetchFinsStatementsByCode(code, idTokenOverride);
+}
+// -------------------- 空売り・投資部門別フロー（系列は昇順。前回比・window 前比・z-score を付ける）
+// z は直前 window 本（当期を含まない）の平均・標準偏差に対する当期の位置。3本未満なら null
+function rollingStats(vals, window) {
+  return vals.map((x, i) => {
+    const prev = i > 0 ? vals[i - 1] : null;
+    const back = i >= window ? vals[i - window] : null;
+    const hist = vals.slice(Math.max(0, i - window), i).filter(v => v != null);
+    let z = null;
+    if (x != null && hist.length >= 3) {
+      const m = hist.reduce((a, b) => a + b, 0) / hist.length;
+      const sd = Math.sqrt(hist.reduce((a, b) => a + (b - m) ** 2, 0) / hist.length);
+      z = sd > 0 ? (x - m) / sd : 0;
+    }
+    return {
+      chg: x != null && prev != null ? x - prev : null,
+      chg_w: x != null && back != null ? x - back : null,
+      z
+    };
+  });
+}
+// items[i][key] に rolling を付ける（key_chg / key_chg_w / key_z）
+function addRolling(items, key, window, get = (it) => it[key], target = (it) => it) {
+  rollingStats(items.map(get), window).forEach((r, i) => {
+    Object.assign(target(items[i]), { [`${key}_chg`]: r.chg, [`${key}_chg_w`]: r.chg_w, [`${key}_z`]: r.z });
+  });
+  return items;
+}
+// window 本ぶんの履歴を取れる開始日（営業日 ≒ ×1.5 暦日、週次は ×7）
+function flowFrom(to, points, unitDays) {
+  return new Date(Date.parse(`${to}T00:00:00Z`) - Math.ceil(points * unitDays + 10) * DAY).toISOString().slice(0, 10);
+}
+
+// 業種別空売り比率（sector33 未指定なら全業種。上流は業種コードか日付の指定が必須なので業種ごとに取得）
+async function fetchShortSelling(sector33Codes, from, to, idTokenOverride) {
+  const out = [];
+  for (const sc of sector33Codes) {
+    const q = new URLSearchParams({ sector33code: sc, from, to });
+    const arr = await jqGETAll(`/markets/short_selling?${q.toString()}`, idTokenOverride, { key: "short_selling" });
+    out.push(...arr.map(mapShortSelling));
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.sector33.localeCompare(b.sector33));
+}
+
+// 大量空売り報告の残高合計（報告者ごとの最新比率の和）を計算日ごとに
+function shortPositionSeries(positions) {
+  const latest = new Map(), byDate = new Map();
+  for (const p of [...positions].sort((a, b) => a.calculated_date.localeCompare(b.calculated_date))) {
+    latest.set(p.short_seller + "|" + (p.fund || ""), p.ratio ?? 0);
+    // 0.5% 未満になった報告者は以後の合計から外れる
+    const held = [...latest.values()].filter(r => r >= 0.005);
+    byDate.set(p.calculated_date, { date: p.calculated_date, total_ratio: held.reduce((a, r) => a + r, 0), holders: held.length });
+  }
+  return [...byDate.values()];
+}
+
+// -------------------- 信用残分析（週次。信用倍率・買残の出来高日数・変化の z・N 週トレンド）
+const MARGIN_Z_WINDOW = 13;          // 変化の z を取る週数
+const MARGIN_TREND_WEEKS = 4;        // トレンドの週数
+const MARGIN_PUBLISH_LAG_DAYS = 5;   // 金曜基準 → 翌週火曜夕方公表。as_of 時は基準日＋5日以前のものだけ使う
+
+// 銘柄の週次信用残（昇順）。asOf 指定時はその日までに公表済みの分
+async function fetchWeeklyMargin(code, idTokenOverride, asOf = null) {
+  const j = await jqGET(`/markets/weekly_margin_interest?code=${encodeURIComponent(code)}`, idTokenOverride);
+  const items = (j.weekly_margin_interest || []).map(mapWeeklyMargin).sort((a, b) => a.date.localeCompare(b.date));
+  if (!asOf) return items;
+  const cutoff = new Date(Date.parse(`${asOf}T00:00:00Z`) - MARGIN_PUBLISH_LAG_DAYS * DAY).toISOString().slice(0, 10);
+  return items.filter(it => it.date <= cutoff);
+}
+
+// 各週に前週比と、その変化の z（直前 window 週比）を付ける
+function addMarginChanges(items, window = MARGIN_Z_WINDOW) {
+  items.forEach((it, i) => {
+    const prev = items[i - 1];
+    it.buying_chg = prev ? it.buying - prev.buying : null;
+    it.selling_chg = prev ? it.selling - prev.selling : null;
+  });
+  for (const k of ["buying_chg", "selling_chg"]) {
+    rollingStats(items.map(it => it[k]), window).forEach((r, i) => { items[i][`${k}_z`] = r.z; });
+  }
+  return items;
+}
+
+// 直近 weeks 週の変化（買残・売残・信用倍率）と買残の傾き（最小二乗、株数/週）
+function marginTrend(items, weeks = MARGIN_TREND_WEEKS) {
+  const xs = items.slice(-(weeks + 1));
+  if (xs.length < 2) return null;
+  const a = xs[0], b = xs[xs.length - 1];
+  const n = xs.length, mx = (n - 1) / 2, my = xs.reduce((s, it) => s + it.buying, 0) / n;
+  let num = 0, den = 0;
+  xs.forEach((it, i) => { num += (i - mx) * (it.buying - my); den += (i - mx) ** 2; });
+  return {
+    weeks: n - 1, from: a.date, to: b.date,
+    buying_change: b.buying - a.buying,
+    buying_change_pct: a.buying ? b.buying / a.buying - 1 : null,
+    selling_change: b.selling - a.selling,
+    selling_change_pct: a.selling ? b.selling / a.selling - 1 : null,
+    credit_ratio_change: a.credit_ratio != null && b.credit_ratio != null ? b.credit_ratio - a.credit_ratio : null,
+    buying_slope: den ? num / den : null
+  };
+}
+
+// 最新週の指標。margin_days＝買残 ÷ 平均出来高（買い方の手仕舞いに何日分の出来高が要るか）
+function marginAnalytics(items, { avgVolume = null, window = MARGIN_Z_WINDOW, trendWeeks = MARGIN_TREND_WEEKS } = {}) {
+  addMarginChanges(items, window);
+  const latest = items[items.length - 1] || null;
+  return {
+    date: latest?.date ?? null,
+    buying: latest?.buying ?? null,
+    selling: latest?.selling ?? null,
+    credit_ratio: latest?.credit_ratio ?? null,
+    margin_days: latest && avgVolume ? latest.buying / avgVolume : null,
+    short_days: latest && avgVolume ? latest.selling / avgVolume : null,
+    buying_chg_z: latest?.buying_chg_z ?? null,
+    selling_chg_z: latest?.selling_chg_z ?? null,
+    trend: marginTrend(items, trendWeeks)
+  };
+}
+
+// -------------------- 決算発表予定（/fins/announcement は翌営業日以降の予定のみ。過去には遡れない）
+const RECENTLY_REPORTED_DAYS = 7; // 直近開示からこの暦日数以内なら recently_reported
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY);
+}
+async function fetchAnnouncements(idTokenOverride) {
+  const arr = await jqGETAll(`/fins/announcement`, idTokenOverride, { key: "announcement" });
+  return arr.map(mapAnnouncement).filter(a => a.date && a.code).sort((a, b) => a.date.localeCompare(b.date));
+}
+// code → 今日以降の直近の発表予定日
+async function getEarningsMap(idTokenOverride) {
+  const today = jstDateStr();
+  const m = new Map();
+  for (const a of await fetchAnnouncements(idTokenOverride)) {
+    if (a.date >= today && !m.has(a.code)) m.set(a.code, a.date);
+  }
+  return m;
+}
+function earningsFields(earnMap, code) {
+  const d = earnMap.get(code) ?? null;
+  return { next_earnings_date: d, days_to_earnings: d ? daysBetween(jstDateStr(), d) : null };
+}
+// statements の最新 DisclosedDate（予想修正等も含む）→ 直近に発表済みか
+function recentReport(statements, baseDate = jstDateStr()) {
+  let last = null;
+  for (const s of statements || []) {
+    const d = finsStr(s, "DisclosedDate", "disclosedDate");
+    if (d && d <= baseDate && (!last || d > last)) last = d;
+  }
+  return {
+    last_disclosed_date: last,
+    recently_reported: last ? daysBetween(last, baseDate) <= RECENTLY_REPORTED_DAYS : null
+  };
+}
+
+// -------------------- 配当（/fins/dividend。1株配当は GrossDividendRate、記念・特別は内数）
+const DIVIDEND_STATUS = { "1": "new", "2": "revised", "3": "deleted" };
+
+function divNum(v) {
+  const n = toNum(v);
+  return Number.isFinite(n) ? n : null;
+}
+function mapDividend(rec) {
+  const special = (divNum(pick(rec, "CommemorativeDividendRate")) ?? 0) + (divNum(pick(rec, "SpecialDividendRate")) ?? 0);
+  const csc = String(pick(rec, "CommemorativeSpecialCode") || "0");
+  return {
+    code: codeStr(pick(rec, "Code", "code") || ""),
+    announcement_date: normDateStr(pick(rec, "AnnouncementDate", "announcement_date")),
+    announcement_time: String(pick(rec, "AnnouncementTime", "announcement_time") || ""),
+    reference_number: String(pick(rec, "ReferenceNumber", "reference_number") || ""),
+    status: DIVIDEND_STATUS[String(pick(rec, "StatusCode") || "")] || null,
+    kind: String(pick(rec, "InterimFinalCode") || "") === "1" ? "interim" : "final",
+    type: String(pick(rec, "ForecastResultCode") || "") === "2" ? "forecast" : "actual",
+    term: String(pick(rec, "InterimFinalTerm", "term") || ""),
+    record_date: normDateStr(pick(rec, "RecordDate", "record_date")) || null,
+    ex_date: normDateStr(pick(rec, "ExDate", "ex_date")) || null,
+    payable_date: normDateStr(pick(rec, "PayableDate", "payable_date")) || null,
+    dps: divNum(pick(rec, "GrossDividendRate", "dps")),
+    special: csc !== "0",
+    special_dps: csc !== "0" ? special : 0
+  };
+}
+
+async function fetchDividends(code, idTokenOverride) {
+  const arr = await jqGETAll(`/fins/dividend?code=${encodeURIComponent(code)}`, idTokenOverride, { key: "dividend" });
+  return arr.map(mapDividend);
+}
+
+// 期・中間/期末・予想/実績ごとに最新の開示だけ残す（取消は除外）。asOf 指定時はその日までの開示
+function latestDividends(divs, asOf = null) {
+  const m = new Map();
+  const sorted = [...divs]
+    .filter(d => d.term && (!asOf || (d.announcement_date && d.announcement_date <= asOf)))
+    .sort((a, b) => `${a.announcement_date} ${a.announcement_time}`.localeCompare(`${b.announcement_date} ${b.announcement_time}`));
+  for (const d of sorted) {
+    const k = `${d.term}|${d.kind}|${d.type}`;
+    if (d.status === "deleted") m.delete(k); else m.set(k, d);
+  }
+  return [...m.values()];
+}
+
+// 年度（期末の基準年月）ごとの実績：中間は直後の期末に寄せる
+function annualDividends(divs) {
+  const finals = [...new Set(divs.filter(d => d.kind === "final").map(d => d.term))].sort();
+  const fyOf = (d) => (d.kind === "final" ? d.term : finals.find(t => t > d.term) || null);
+  const years = new Map();
+  for (const d of divs) {
+    if (d.type !== "actual" || d.dps == null) continue;
+    const fy = fyOf(d);
+    if (!fy) continue;
+    const y = years.get(fy) || { fiscal_year: fy, interim: 0, final: null, special: 0, total: 0 };
+    if (d.kind === "interim") y.interim += d.dps; else y.final = (y.final ?? 0) + d.dps;
+    y.special += d.special_dps || 0;
+    y.total += d.dps;
+    years.set(fy, y);
+  }
+  // 期末実績のある年度だけ（進行中の年度は除く）。regular は記念・特別を除いた額
+  return [...years.values()].filter(y => y.final != null)
+    .map(y => ({ ...y, regular: y.total - y.special }))
+    .sort((a, b) => a.fiscal_year.localeCompare(b.fiscal_year));
+}
+
+// 配当指標：直近1年の実績 DPS・予想 DPS・配当性向・連続非減配年数・5年 CAGR
+function dividendMetrics(divs, { baseDate = jstDateStr(), eps_ttm = null, close = null } = {}) {
+  const from = new Date(Date.parse(`${baseDate}T00:00:00Z`) - 365 * DAY).toISOString().slice(0, 10);
+  const paid = divs.filter(d => d.type === "actual" && d.dps != null && d.record_date && d.record_date > from && d.record_date <= baseDate);
+  const trailing_dps = paid.length ? paid.reduce((a, d) => a + d.dps, 0) : null;
+
+  // 予想：最後の期末実績より後の最初の年度。確定済みの中間は実績を使う
+  const annual = annualDividends(divs);
+  const lastFy = annual.length ? annual[annual.length - 1].fiscal_year : "";
+  const fcFy = divs.filter(d => d.type === "forecast" && d.kind === "final" && d.term > lastFy).map(d => d.term).sort()[0] || null;
+  let forecast_dps = null;
+  if (fcFy) {
+    const inFy = divs.filter(d => d.dps != null && (d.term === fcFy || (d.kind === "interim" && d.term > lastFy && d.term < fcFy)));
+    const pickKind = (kind) => {
+      const xs = inFy.filter(d => d.kind === kind);
+      const act = xs.filter(d => d.type === "actual");
+      return (act.length ? act : xs).reduce((a, d) => a + d.dps, 0);
+    };
+    forecast_dps = pickKind("interim") + pickKind("final");
+  }
+
+  let no_cut_years = 0;
+  for (let i = annual.length - 1; i > 0 && annual[i].regular >= annual[i - 1].regular; i--) no_cut_years++;
+
+  const last = annual[annual.length - 1], first = annual[annual.length - 6];
+  const dps_cagr_5y = last && first && first.regular > 0 && last.regular > 0 ? (last.regular / first.regular) ** (1 / 5) - 1 : null;
+
+  return {
+    trailing_dps,
+    forecast_dps,
+    forecast_fiscal_year: fcFy,
+    dividend_yield_trailing: trailing_dps != null && close ? trailing_dps / close : null,
+    dividend_yield_forecast: forecast_dps != null && close ? forecast_dps / close : null,
+    payout_ratio: trailing_dps != null && eps_ttm != null && eps_ttm > 0 ? trailing_dps / eps_ttm : null,
+    no_cut_years: annual.length ? no_cut_years : null,
+    dps_cagr_5y
+  };
+}
+
+// 大引け時刻（2024-11-05 から 15:30）
+function marketCloseTime(date) { return date >= "2024-11-05" ? "15:30" : "15:00"; }
+// priceDate（営業日）の終値時点で開示済みの分だけ（先読み防止）
+// 当日開示は大引け前のものだけ。大引け後・時刻不明は翌営業日から有効とみなす
+function statementsAsOf(statements, priceDate) {
+  if (!priceDate) return statements;
+  return (statements || []).filter(s => {
+    const d = finsStr(s, "DisclosedDate", "disclosedDate");
+    if (!d || d > priceDate) return false;
+    if (d < priceDate) return true;
+    const t = finsStr(s, "DisclosedTime", "disclosedTime").slice(0, 5);
+    return !!t && t < marketCloseTime(d);
+  });
+}
+
+// -------------------- スクリーニングエンジン（/api/screen/basic・/api/screen/query 共通）
+// 行データはソース単位で遅延ロードする：
+//   base     … 上場一覧＋流動性（常に）
+//   momentum … 3/6/12か月スナップショット（全銘柄一括。参照時のみ）
+//   earnings … 決算発表予定（全銘柄一括。参照時のみ。as_of 指定時は null）
+//   tech     … 銘柄別日足 → テクニカル指標（1銘柄1リクエスト）
+//   fins     … 銘柄別財務 → バリュエーション・収益性（1銘柄1リクエスト。財務インデックスが ready なら全銘柄一括）
+//   div      … 銘柄別配当 → 実績/予想利回り・配当性向・連続非減配（1銘柄1リクエスト）
+//   credit   … 銘柄別週次信用残 → 信用倍率・買残日数・変化の z（1銘柄1リクエスト）
+const SCREEN_FIELDS = {
+  code: "base", name: "base", market: "base",
+  sector17: "base", sector17_name: "base", sector33: "base", sector33_name: "base",
+  avg_trading_value: "base", close: "base",
+  mom_3m: "momentum", mom_6m: "momentum", mom_12m: "momentum", score: "momentum",
+  rs_3m: "momentum", rs_6m: "momentum", rs_12m: "momentum",
+  next_earnings_date: "earnings", days_to_earnings: "earnings",
+  last_disclosed_date: "fins", recently_reported: "fins",
+  eps_ttm: "fins", ni_ttm: "fins", bps: "fins", dps: "fins", roe: "fins", roa: "fins",
+  sales_ttm: "fins", operating_profit_ttm: "fins", shares_outstanding: "fins", cash: "fins", debt: "fins",
+  per: "fins", pbr: "fins", dividend_yield: "fins", earnings_yield: "fins",
+  market_cap: "fins", ev: "fins", ev_sales: "fins", ev_ebit: "fins",
+  operating_margin: "fins", net_margin: "fins",
+  fins_disclosed_date: "fins", fins_document: "fins",
+  trailing_dps: "div", forecast_dps: "div", dividend_yield_trailing: "div", dividend_yield_forecast: "div",
+  payout_ratio: "div", no_cut_years: "div", dps_cagr_5y: "div",
+  credit_ratio: "credit", margin_buying: "credit", margin_selling: "credit", margin_days: "credit",
+  margin_buying_chg_z: "credit", margin_trend_pct: "credit"
+};
+// 1銘柄ごとに上流を叩くソース（走査上限の対象。fins は財務インデックスが ready なら対象外）。この順に評価する
+const PER_CODE_SOURCES = ["tech", "fins", "div", "credit"];
+
+function fieldSource(name) {
+  if (Object.prototype.hasOwnProperty.call(SCREEN_FIELDS, name)) return SCREEN_FIELDS[name];
+  if (isTechField(name)) return "tech";
+  return null;
+}
+// fieldSource が null の項目の 400 メッセージ
+function unknownFieldMessage(name) {
+  const why = TECH_NAME_RE.test(String(name)) && techWindowError(name);
+  return why ? `"${name}": ${why}` : `unknown field "${name}"`;
+}
+
+const CMP_OPS = new Set(["eq", "ne", "lt", "lte", "gt", "gte", "between", "in", "is_null", "not_null"]);
+
+// 式：{ and:[…] } / { or:[…] } / { not: 式 } / { field, op, value, nulls?: "fail"|"pass" }
+// 不正な式は Error を投げる（呼び出し側で 400）
+function validateExpr(expr, at = "where") {
+  if (expr == null || typeof expr !== "object" || Array.isArray(expr)) throw new Error(`${at}: expression must be an object`);
+  if (expr.and || expr.or) {
+    const k = expr.and ? "and" : "or";
+    if (!Array.isArray(expr[k]) || expr[k].length === 0) throw new Error(`${at}.${k}: must be a non-empty array`);
+    expr[k].forEach((e, i) => validateExpr(e, `${at}.${k}[${i}]`));
+    return;
+  }
+  if (Object.prototype.hasOwnProperty.call(expr, "not")) { validateExpr(expr.not, `${at}.not`); return; }
+  const { field, op, value } = expr;
+  if (typeof field !== "string" || !fieldSource(field)) throw new Error(`${at}.field: ${unknownFieldMessage(field)}`);
+  if (!CMP_OPS.has(op)) throw new Error(`${at}.op: unknown operator "${op}"`);
+  if (op === "between" && !(Array.isArray(value) && value.length === 2)) throw new Error(`${at}.value: between needs [min, max]`);
+  if (op === "in" && !Array.isArray(value)) throw new Error(`${at}.value: in needs an array`);
+  if (!["in", "is_null", "not_null"].includes(op) && value === undefined) throw new Error(`${at}.value: required for ${op}`);
+  if (expr.nulls != null && expr.nulls !== "fail" && expr.nulls !== "pass") throw new Error(`${at}.nulls: must be "fail" or "pass"`);
+}
+function exprFields(expr, out = new Set()) {
+  if (!expr) return out;
+  if (expr.and || expr.or) (expr.and || expr.or).forEach(e => exprFields(e, out));
+  else if (Object.prototype.hasOwnProperty.call(expr, "not")) exprFields(expr.not, out);
+  else out.add(expr.field);
+  return out;
+}
+
+function compare(v, op, value) {
+  switch (op) {
+    case "eq": return v === value;
+    case "ne": return v !== value;
+    case "lt": return v < value;
+    case "lte": return v <= value;
+    case "gt": return v > value;
+    case "gte": return v >= value;
+    case "between": return v >= value[0] && v <= value[1];
+    case "in": return value.includes(v);
+    default: return false;
+  }
+}
+// 3値評価：true / false / undefined（未ロードのソースを参照していて判定不能）
+function evalExpr(expr, row, loaded) {
+  if (!expr) return true;
+  if (expr.and) {
+    let unknown = false;
+    for (const e of expr.and) {
+      const r = evalExpr(e, row, loaded);
+      if (r === false) return false;
+      if (r === undefined) unknown = true;
+    }
+    return unknown ? undefined : true;
+  }
+  if (expr.or) {
+    let unknown = false;
+    for (const e of expr.or) {
+      const r = evalExpr(e, row, loaded);
+      if (r === true) return true;
+      if (r === undefined) unknown = true;
+    }
+    return unknown ? undefined : false;
+  }
+  if (Object.prototype.hasOwnProperty.call(expr, "not")) {
+    const r = evalExpr(expr.not, row, loaded);
+    return r === undefined ? undefined : !r;
+  }
+  if (!loaded.has(fieldSource(expr.field))) return undefined;
+  const v = row[expr.field] ?? null;
+  if (expr.op === "is_null") return v == null;
+  if (expr.op === "not_null") return v != null;
+  if (v == null) return expr.nulls === "pass";
+  return compare(v, expr.op, expr.value);
+}
+
+// sort: "per" / "-per" / { field, dir: "asc"|"desc" } またはその配列 → [{ field, dir }]
+function parseSort(sort) {
+  if (sort == null || sort === "") return [];
+  const list = Array.isArray(sort) ? sort : [sort];
+  return list.map((s, i) => {
+    const o = typeof s === "string"
+      ? (s.startsWith("-") ? { field: s.slice(1), dir: "desc" } : { field: s, dir: "asc" })
+      : { field: s?.field, dir: String(s?.dir || "asc").toLowerCase() };
+    if (!fieldSource(o.field)) throw new Error(`sort[${i}].field: ${unknownFieldMessage(o.field)}`);
+    if (o.dir !== "asc" && o.dir !== "desc") throw new Error(`sort[${i}].dir: must be "asc" or "desc"`);
+    return o;
+  });
+}
+// null は常に末尾
+function sortRows(rows, keys) {
+  if (!keys.length) return rows;
+  return rows.sort((a, b) => {
+    for (const { field, dir } of keys) {
+      const x = a[field] ?? null, y = b[field] ?? null;
+      if (x === y) continue;
+      if (x == null) return 1;
+      if (y == null) return -1;
+      const c = x < y ? -1 : 1;
+      return dir === "desc" ? -c : c;
+    }
+    return 0;
+  });
+}
+
+// スコア（軽量：流動性のみ／モメンタムがあれば mom3m を加味）
+function liqMomScore(tv, mom_3m) {
+  const liqScore = Math.log10(Math.max(1, tv));
+  const momScore = (mom_3m == null ? 0 : mom_3m * 100);
+  return Math.round(10 * (liqScore + momScore));
+}
+
+const EMPTY_MOM = { d0: new Map(), d3: new Map(), d6: new Map(), d12: new Map(), topix: {} };
+
+// spec: {
+//   market, sector17, sector33, allowSet, liquidity_min, liqMode, days … 母集団（安い前処理）
+//   where, sort([{field,dir}]), fields, loadOutputFields（出力項目のためにもロードするか）
+//   limit, stopAtLimit（売買代金順で limit 件集まったら打ち切る）, maxScan, budgetMs
+//   asOf（YYYY-MM-DD。その日時点の価格・開示で評価）
+//   order（前回の universe。母集団をこの並びに固定）, cursor（order 上の再開位置）
+// }
+// → { rows, stats, sources, universe, price_date }。stats.next_cursor は途中で止まった位置（最後まで走査したら null）
+async function runScreen(spec, idTokenOverride) {
+  const t0 = Date.now();
+  const deadline = t0 + Math.max(5000, spec.budgetMs ?? 25000);
+  const timeLeft = () => deadline - Date.now();
+  const maxScan = spec.maxScan ?? 500;
+  const limit = spec.limit ?? 30;
+
+  // 参照項目 → 必要なソース
+  const whereFields = [...exprFields(spec.where)];
+  const whereSources = new Set(whereFields.map(fieldSource));
+  const allFields = [
+    ...whereFields,
+    ...(spec.sort || []).map(s => s.field),
+    ...(spec.loadOutputFields ? (spec.fields || []) : [])
+  ];
+  const sources = new Set(["base", ...allFields.map(fieldSource)]);
+  const techSpecs = techSpecsFor(allFields.filter(isTechField).map(field => ({ field })));
+  const stats = { listed: false, liq: false, mom: false, candidates: 0, processed: 0, scanned: 0, kept: 0, truncated: false, reason: null };
+  // asOf → 評価に使う営業日（その日の終値・その時点の開示）
+  const priceDate = spec.asOf ? await getLatestTradingDate(idTokenOverride, spec.asOf) : null;
+
+  const [listedMap, { avgTV, latestClose, avgVol }, momSnaps, earnMap, finsIdx] = await Promise.all([
+    getListedMap(idTokenOverride).then(v => (stats.listed = true, v)),
+    buildLiquidityAndClose(spec.days ?? 20, idTokenOverride, spec.liqMode || "avg", spec.asOf).then(v => (stats.liq = true, v)),
+    (sources.has("momentum") ? buildMomentumSnapshots(idTokenOverride, spec.asOf) : Promise.resolve(EMPTY_MOM))
+      .then(v => (stats.mom = sources.has("momentum"), v)),
+    // 予定表は過去に遡れないので as_of 指定時は空
+    sources.has("earnings") && !spec.asOf ? getEarningsMap(idTokenOverride) : Promise.resolve(new Map()),
+    // 財務を使うときだけ。揃っていなければ銘柄別取得に戻る
+    sources.has("fins") || sources.has("div")
+      ? ensureFinsIndex(priceDate, idTokenOverride).catch(e => (dlog("fins index failed", e.message), null))
+      : Promise.resolve(null),
+  ]);
+  const preparedAt = Date.now(); // ここまでが一括取得（上場一覧・日足・モメンタム・財務インデックス）
+  const finsBulk = !!finsIdx?.ready;
+  if (finsIdx) stats.fins_index = { ready: finsBulk, stored: finsIdx.stored ?? 0, missing: finsIdx.missing ?? null, stale_days: finsIdx.stale_days ?? null };
+  // universe：第1段を通過した候補コード（backtest の比較対象）
+  const cands = [];
+  const done = (rows) => {
+    Object.assign(stats, { ms: Date.now() - t0 });
+    metricInc("jqproxy_screen_runs_total");
+    for (const stage of ["candidates", "processed", "scanned", "kept"]) metricInc("jqproxy_screen_codes_total", { stage }, stats[stage]);
+    if (stats.truncated) metricInc("jqproxy_screen_truncated_total");
+    logEvent("info", "screen", { ...stats, sources: [...sources], prepare_ms: preparedAt - t0, price_date: priceDate });
+    return { rows, stats, sources: [...sources], universe: cands.map(c => c[0]), price_date: priceDate };
+  };
+
+  if (!avgTV || avgTV.size === 0) { stats.reason = "no_liquidity"; return done([]); }
+
+  // 第1段：母集団（ユニバース・流動性・市場・業種）→ 売買代金の降順
+  // asOf 指定時、上場一覧に無い（廃止済み等の）銘柄も落とさない
+  for (const [code, tv] of avgTV.entries()) {
+    if (spec.allowSet && !spec.allowSet.has(code)) continue;
+    if (!Number.isFinite(tv) || tv < (spec.liquidity_min ?? 0)) continue;
+    const meta = listedMap.get(code) || { name: "", marketJa: "" };
+    if (!marketMatch(spec.market || "All", meta.marketJa || "")) continue; // 空は通す（落とし過ぎ防止）
+    if (!sectorMatch(meta, spec.sector17, spec.sector33)) continue;
+    cands.push([code, tv, meta]);
+  }
+  stats.candidates = cands.length;
+  if (cands.length === 0) { stats.reason = "filtered_by_market_or_liq"; return done([]); }
+  cands.sort((a, b) => b[1] - a[1]);
+  // 再開時は前回の並びに合わせる（その後母集団から外れた銘柄は飛ばす）
+  const pos = new Map((spec.order || cands.map(c => c[0])).map((c, i) => [c, i]));
+  const ordered = spec.order ? cands.filter(c => pos.has(c[0])).sort((a, b) => pos.get(a[0]) - pos.get(b[0])) : cands;
+  const cursor = spec.cursor ?? 0;
+  stats.next_cursor = null;
+
+  const finsStatements = async (code) => statementsAsOf(await finsStatementsFor(code, finsIdx, idTokenOverride), priceDate);
+  const loaders = {
+    async tech(row) {
+      Object.assign(row, await fetchLatestIndicators(row.code, techSpecs, idTokenOverride, spec.asOf));
+    },
+    async fins(row) {
+      const stmts = await finsStatements(row.code);
+      const s = summarizeFins(stmts);
+      const v = valuationMetrics(row.close, s);
+      Object.assign(row, recentReport(stmts, priceDate || jstDateStr()));
+      Object.assign(row, {
+        eps_ttm: s.eps_ttm, ni_ttm: s.ni_ttm, bps: s.bps, dps: s.dps, roe: s.roe, roa: s.roa,
+        sales_ttm: s.sales_ttm, operating_profit_ttm: s.operating_profit_ttm,
+        shares_outstanding: s.shares_outstanding, cash: s.cash, debt: s.debt,
+        per: v.per, pbr: v.pbr, dividend_yield: v.dividend_yield, earnings_yield: v.earnings_yield,
+        market_cap: v.market_cap, ev: v.ev, ev_sales: v.ev_sales, ev_ebit: v.ev_ebit,
+        operating_margin: (s.sales_ttm && s.operating_profit_ttm != null ? s.operating_profit_ttm / s.sales_ttm : null),
+        net_margin: (s.sales_ttm && s.ni_ttm != null ? s.ni_ttm / s.sales_ttm : null),
+        fins_disclosed_date: s.source?.disclosed_date ?? null, fins_document: s.source?.document ?? null
+      });
+    },
+    async div(row) {
+      const divs = latestDividends(await fetchDividends(row.code, idTokenOverride), priceDate);
+      // 配当性向の EPS は fins を読んでいればそれを、無ければ財務を取得
+      const eps_ttm = "eps_ttm" in row ? row.eps_ttm
+        : summarizeFins(await finsStatements(row.code)).eps_ttm;
+      const { forecast_fiscal_year, ...m } = dividendMetrics(divs, { baseDate: priceDate || jstDateStr(), eps_ttm, close: row.close });
+      Object.assign(row, m);
+    },
+    async credit(row) {
+      // 平均出来高は流動性と同じ期間（days）
+      const m = marginAnalytics(await fetchWeeklyMargin(row.code, idTokenOverride, priceDate), { avgVolume: avgVol?.get(row.code) });
+      Object.assign(row, {
+        credit_ratio: m.credit_ratio, margin_buying: m.buying, margin_selling: m.selling, margin_days: m.margin_days,
+        margin_buying_chg_z: m.buying_chg_z, margin_trend_pct: m.trend?.buying_change_pct ?? null
+      });
+    }
+  };
+
+  const rows = [];
+  for (const [code, tv, meta] of ordered) {
+    const at = pos.get(code);
+    if (at < cursor) continue;
+    if (timeLeft() <= 0) { stats.truncated = true; stats.next_cursor = at; break; }
+    if (spec.stopAtLimit && rows.length >= limit) { stats.next_cursor = at; break; }
+    stats.processed++;
+
+    const row = {
+      code, name: meta.name, market: meta.marketJa || "", ...sectorFields(meta),
+      avg_trading_value: tv, close: latestClose.get(code) ?? null
+    };
+    const loaded = new Set(["base"]);
+    if (sources.has("momentum")) {
+      Object.assign(row, momentumFields(momSnaps, code));
+      loaded.add("momentum");
+    }
+    if (sources.has("earnings")) {
+      Object.assign(row, earningsFields(earnMap, code));
+      loaded.add("earnings");
+    }
+    row.score = liqMomScore(tv, row.mom_3m);
+    // 財務インデックスが ready ならメモリから読むので走査に数えない
+    if (finsBulk && sources.has("fins")) {
+      try { await loaders.fins(row); loaded.add("fins"); }
+      catch (e) { dlog("screen load failed", "fins", code, e.message); continue; }
+    }
+
+    // 判定不能な間だけ銘柄別ソースを読む（1銘柄につき走査1回と数える）
+    let charged = false, failed = false, stop = false;
+    const load = async (src) => {
+      if (!charged) {
+        if (stats.scanned >= maxScan || timeLeft() <= 0) { stats.truncated = true; stop = true; return false; }
+        stats.scanned++;
+        charged = true;
+      }
+      try { await loaders[src](row); loaded.add(src); return true; }
+      catch (e) {
+        if (isFatalUpstream(e)) throw e;
+        dlog("screen load failed", src, code, e.message); failed = true; return false;
+      }
+    };
+
+    let r = evalExpr(spec.where, row, loaded);
+    for (const src of PER_CODE_SOURCES) {
+      if (r !== undefined) break;
+      if (!whereSources.has(src) || loaded.has(src)) continue;
+      if (!await load(src)) break;
+      r = evalExpr(spec.where, row, loaded);
+    }
+    if (stop) { stats.processed--; stats.next_cursor = at; break; }
+    if (failed || r !== true) continue; // 財務等で失敗した銘柄はスキップ（全体は落とさない）
+
+    // 並び替え・出力に必要な残りのソース
+    for (const src of PER_CODE_SOURCES) {
+      if (!sources.has(src) || loaded.has(src)) continue;
+      if (!await load(src)) break;
+    }
+    if (stop) { stats.processed--; stats.next_cursor = at; break; }
+    if (failed) continue;
+
+    rows.push(row);
+    stats.kept++;
+  }
+
+  sortRows(rows, spec.sort || []);
+  return done(rows);
+}
+
+// -------------------- マルチファクター順位付け（候補集合内で winsorize → z-score → 加重合成）
+// 各ファクターは構成要素の z の平均。業種/市場ニュートラル時はグループ内で z を取る。
+const FACTOR_DEFS = {
+  value:   { fields: ["earnings_yield", "pbr"], parts: [r => r.earnings_yield, r => (r.pbr > 0 ? 1 / r.pbr : null)] },
+  mom:     { fields: ["mom_12m", "mom_6m", "mom_3m"], parts: [r => r.mom_12m, r => r.mom_6m, r => r.mom_3m] },
+  quality: { fields: ["roe", "roa", "operating_margin"], parts: [r => r.roe, r => r.roa, r => r.operating_margin] },
+  yield:   { fields: ["dividend_yield"], parts: [r => r.dividend_yield] },
+  // 小型ほど高い（負の重みで大型寄り）
+  size:    { fields: ["market_cap"], parts: [r => (r.market_cap > 0 ? -Math.log(r.market_cap) : null)] }
+};
+const DEFAULT_FACTOR_WEIGHTS = { value: 0.4, mom: 0.3, quality: 0.3 };
+const NEUTRALIZE = { none: null, sector17: "sector17", sector33: "sector33", market: "market" };
+const MIN_GROUP = 3; // これ未満のグループは全体で z を取る
+
+// { value, mom, … } 形式 → 検証済みの重み（未指定なら既定）
+function parseFactorWeights(raw) {
+  const out = {};
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (v == null || v === "") continue;
+    if (!FACTOR_DEFS[k]) throw new Error(`unknown factor: ${k}`);
+    const n = Number(v);
+    if (!Number.isFinite(n)) throw new Error(`invalid weight for ${k}: ${v}`);
+    if (n !== 0) out[k] = n;
+  }
+  return Object.keys(out).length ? out : { ...DEFAULT_FACTOR_WEIGHTS };
+}
+function parseRankOptions({ weights, neutralize, winsor }) {
+  const nz = String(neutralize || "none").toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(NEUTRALIZE, nz)) throw new Error(`invalid neutralize: ${neutralize}`);
+  const w = winsor == null || winsor === "" ? 0.025 : Number(winsor);
+  if (!Number.isFinite(w) || w < 0 || w >= 0.5) throw new Error(`invalid winsor: ${winsor}`);
+  return { weights: parseFactorWeights(weights), neutralize: nz, winsor: w };
+}
+// 順位付けに必要な項目（runScreen の出力項目として渡す）
+function factorFields(weights) {
+  return [...new Set(Object.keys(weights).flatMap(k => FACTOR_DEFS[k].fields))];
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+function winsorize(vals, p) {
+  if (!p) return vals;
+  const sorted = vals.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  const lo = quantile(sorted, p), hi = quantile(sorted, 1 - p);
+  return vals.map(v => (v == null || !Number.isFinite(v) ? null : Math.min(hi, Math.max(lo, v))));
+}
+function zscores(vals) {
+  const xs = vals.filter(v => v != null);
+  if (xs.length === 0) return vals.map(() => null);
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const sd = Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / xs.length);
+  return vals.map(v => (v == null ? null : (sd > 0 ? (v - mean) / sd : 0)));
+}
+// グループ内 z（小さいグループは全体の z）
+function groupZscores(vals, groups) {
+  const all = zscores(vals);
+  if (!groups) return all;
+  const idx = new Map();
+  groups.forEach((g, i) => { if (!idx.has(g)) idx.set(g, []); idx.get(g).push(i); });
+  const out = [...all];
+  for (const members of idx.values()) {
+    if (members.filter(i => vals[i] != null).length < MIN_GROUP) continue;
+    const z = zscores(members.map(i => vals[i]));
+    members.forEach((i, k) => { out[i] = z[k]; });
+  }
+  return out;
+}
+
+// rows に factor_scores / composite を書き込む（composite は非 null ファクターの重みで正規化）
+function rankByFactors(rows, opt) {
+  const groupKey = NEUTRALIZE[opt.neutralize];
+  const groups = groupKey ? rows.map(r => r[groupKey] || "") : null;
+  const scores = rows.map(() => ({}));
+  for (const name of Object.keys(opt.weights)) {
+    const partZ = FACTOR_DEFS[name].parts.map(fn => groupZscores(winsorize(rows.map(r => {
+      const v = fn(r);
+      return v == null || !Number.isFinite(v) ? null : v;
+    }), opt.winsor), groups));
+    rows.forEach((_, i) => {
+      const zs = partZ.map(z => z[i]).filter(v => v != null);
+      scores[i][name] = zs.length ? zs.reduce((a, b) => a + b, 0) / zs.length : null;
+    });
+  }
+  rows.forEach((r, i) => {
+    let sum = 0, wsum = 0;
+    for (const [name, w] of Object.entries(opt.weights)) {
+      const v = scores[i][name];
+      if (v == null) continue;
+      sum += w * v; wsum += Math.abs(w);
+    }
+    r.factor_scores = scores[i];
+    r.composite = wsum > 0 ? sum / wsum : null;
+  });
+  return rows.sort((a, b) => (b.composite ?? -Infinity) - (a.composite ?? -Infinity));
+}
+
+// -------------------- /api/screen/basic の条件（/api/screen/backtest と共通）
+const DIV_YIELD_FIELDS = { dps: "dividend_yield", trailing: "dividend_yield_trailing", forecast: "dividend_yield_forecast" };
+
+// screen/basic・screen/backtest・ジョブ共通のクエリ項目
+// ほかにテクニカル条件 <指標>_lt / <指標>_gt（rsi14_lt, sma25_gt …）と above_sma200=1 などを受ける（parseTechFilters）
+const SCREEN_PARAMS = {
+  market: COMMON_PARAMS.market,
+  limit: { type: "integer", min: 1, max: 200, clamp: true, default: 30, description: "Maximum number of items" },
+  liquidity_min: { type: "number", min: 0, default: 100_000_000, description: "Minimum average trading value (JPY)" },
+  liquidity_mode: COMMON_PARAMS.liquidity_mode,
+  fast: { type: "boolean", default: true, description: "Light mode: 5-day liquidity average instead of 20 days" },
+  per_lt: { type: "number", description: "PER below" },
+  pbr_lt: { type: "number", description: "PBR below" },
+  div_yield_gt: { type: "number", min: 0, description: "Dividend yield above, as a ratio (0.025). Values over 1 up to 100 are read as percent (2.5 = 2.5%)" },
+  div_yield_basis: { type: "string", enum: Object.keys(DIV_YIELD_FIELDS), default: "dps", description: "Yield basis: dps = DPS from statements, trailing = dividends paid in the last year, forecast = company forecast" },
+  mom3m_gt: { type: "number", description: "3-month momentum at or above" },
+  rs3m_gt: { type: "number", description: "3-month return relative to TOPIX above" },
+  rs6m_gt: { type: "number", description: "6-month return relative to TOPIX above" },
+  rs12m_gt: { type: "number", description: "12-month return relative to TOPIX above" },
+  sector17: COMMON_PARAMS.sector17,
+  sector33: COMMON_PARAMS.sector33,
+  mcap_gt: { type: "number", description: "Market cap above (JPY)" },
+  mcap_lt: { type: "number", description: "Market cap below (JPY)" },
+  credit_ratio_gt: { type: "number", description: "Margin buying / selling ratio above" },
+  credit_ratio_lt: { type: "number", description: "Margin buying / selling ratio below" },
+  margin_days_gt: { type: "number", description: "Margin buying in days of average volume above" },
+  margin_days_lt: { type: "number", description: "Margin buying in days of average volume below" },
+  exclude_earnings_within: { type: "integer", min: 0, description: "Exclude codes with an earnings announcement within N days (codes without a schedule are kept)" },
+  universe: { type: "codes", description: "Restrict to these codes (comma-separated or repeated)" },
+  rank: { type: "string", enum: ["none", "factor"], default: "none", description: "factor = rank all scanned candidates by a composite z-score" },
+  ...Object.fromEntries(Object.keys(FACTOR_DEFS).map(k => [`w_${k}`, { type: "number", description: `Weight of the ${k} factor (rank=factor)` }])),
+  neutralize: { type: "string", enum: Object.keys(NEUTRALIZE), default: "none", description: "Compute factor z-scores within this group (rank=factor)" },
+  winsor: { type: "number", min: 0, max: 0.49, default: 0.025, description: "Winsorize factor inputs at this tail ratio (rank=factor)" },
+  as_of: COMMON_PARAMS.as_of,
+  max_scan: { type: "integer", min: 0, default: 500, description: "Maximum codes to load per-code data for" },
+  budget_ms: COMMON_PARAMS.budget_ms,
+  debug: { type: "boolean", default: false, description: "Include scan statistics in _debug" },
+};
+
+// クエリ → runScreen の spec ＋出力に必要な情報。不正な値は項目別に 400（rank の重みなどは throw）
+function parseBasicScreen(sp) {
+  // テクニカル条件の誤りもまとめて返す
+  let q, techConds;
+  const errors = [];
+  try { q = parseParams(SCREEN_PARAMS, sp); } catch (e) { if (!e.errors) throw e; errors.push(...e.errors); }
+  try { techConds = parseTechFilters(sp); } catch (e) { if (!e.errors) throw e; errors.push(...e.errors); }
+  if (errors.length) throw paramError(errors);
+  const { market, limit, liquidity_min, per_lt, pbr_lt, mcap_gt, mcap_lt, mom3m_gt, exclude_earnings_within } = q;
+  let div_yield_gt = q.div_yield_gt;
+  // 2.5 → 0.025 のフォールバック（%指定対策）
+  if (div_yield_gt != null && div_yield_gt > 1 && div_yield_gt <= 100) div_yield_gt = div_yield_gt / 100;
+  // 利回りの基準：dps（既定。決算短信の DPS）/ trailing（直近1年の配当実績）/ forecast（会社予想）
+  const divBasis = q.div_yield_basis;
+
+  // 対 TOPIX 超過リターン（rs3m_gt / rs6m_gt / rs12m_gt）
+  const rsGt = ["3m", "6m", "12m"].map(h => [h, q[`rs${h}_gt`]]).filter(([, v]) => v != null);
+  const sector17 = setOrNull(q.sector17);
+  const sector33 = setOrNull(q.sector33);
+  // 信用倍率（買残/売残）・買残の出来高日数
+  const creditConds = [
+    ["credit_ratio_gt", "credit_ratio", "gt"], ["credit_ratio_lt", "credit_ratio", "lt"],
+    ["margin_days_gt", "margin_days", "gt"], ["margin_days_lt", "margin_days", "lt"]
+  ].map(([k, field, op]) => ({ field, op, value: q[k] })).filter(c => c.value != null);
+
+  // クエリ → AND 条件（null は不成立）。モメンタム/テクニカル/財務は条件がある時だけ取得される
+  const conds = [];
+  if (mom3m_gt != null) conds.push({ field: "mom_3m", op: "gte", value: mom3m_gt });
+  for (const [h, v] of rsGt) conds.push({ field: `rs_${h}`, op: "gt", value: v });
+  conds.push(...techConds);
+  if (per_lt != null) conds.push({ field: "per", op: "lt", value: per_lt });
+  if (pbr_lt != null) conds.push({ field: "pbr", op: "lt", value: pbr_lt });
+  if (div_yield_gt != null) conds.push({ field: DIV_YIELD_FIELDS[divBasis], op: "gt", value: div_yield_gt });
+  if (mcap_gt != null) conds.push({ field: "market_cap", op: "gt", value: mcap_gt });
+  if (mcap_lt != null) conds.push({ field: "market_cap", op: "lt", value: mcap_lt });
+  conds.push(...creditConds);
+  if (exclude_earnings_within != null) conds.push(earningsBlackout(exclude_earnings_within));
+
+  // 既定＝軽量（fast=1 で5日 / 0 で20日。liquidity_mode=latest で直近1日近似）
+  const fast = q.fast;
+  const liqMode = q.liquidity_mode;
+
+  // デバッグ / 時間予算 / 財務API叩く銘柄数の上限（大きすぎると時間切れ）
+  const { debug, budget_ms: budgetMs, max_scan: maxScan, as_of: asOf } = q;
+
+  // 対象銘柄の事前絞り込み（任意）
+  const allowSet = q.universe ? new Set(q.universe.map(codeStr)) : null;
+
+  // rank=factor: 走査した候補全体で z-score 合成（w_value/w_mom/w_quality/w_yield/w_size, neutralize, winsor）
+  let rankOpt = null;
+  if (q.rank === "factor") {
+    const weights = {};
+    for (const k of Object.keys(FACTOR_DEFS)) weights[k] = q[`w_${k}`];
+    rankOpt = parseRankOptions({ weights, neutralize: q.neutralize, winsor: q.winsor });
+  }
+
+  // 通常：売買代金の大きい順に評価し、limit 件集まったら打ち切り → score 降順
+  // factor：走査上限まで候補を集めてから順位付け
+  const spec = {
+    market, sector17, sector33, allowSet, liquidity_min, liqMode, days: fast ? 5 : 20,
+    where: conds.length ? { and: conds } : null,
+    // 決算予定は一括取得なので常に付ける
+    fields: [...(rankOpt ? factorFields(rankOpt.weights) : []), "next_earnings_date", "days_to_earnings"], loadOutputFields: true,
+    limit, stopAtLimit: !rankOpt, maxScan, budgetMs, asOf
+  };
+  return { spec, techConds, creditConds, rankOpt, limit, debug, budgetMs, allowSet, asOf, divBasis };
+}
+
+// 決算発表まで n 日以内を除外する条件（予定無しは通す）
+function earningsBlackout(n) {
+  return { field: "days_to_earnings", op: "gt", value: n, nulls: "pass" };
+}
+
+// runScreen の行 → /api/screen/basic の items（score 降順で limit 件）
+function basicItems(rows, { techConds, creditConds = [], rankOpt, limit, asOf, divBasis }) {
+  if (rankOpt) rankByFactors(rows, rankOpt);
+  const items = rows.map(r => {
+    const tech = {};
+    for (const { field } of techConds) tech[field] = r[field];
+    // 信用条件がある時は信用残の指標も
+    const credit = creditConds.length ? {
+      credit_ratio: r.credit_ratio ?? null, margin_days: r.margin_days ?? null,
+      margin_buying_chg_z: r.margin_buying_chg_z ?? null, margin_trend_pct: r.margin_trend_pct ?? null
+    } : {};
+    return {
+      code: r.code,
+      name: r.name,
+      market: r.market,
+      sector17: r.sector17, sector17_name: r.sector17_name, sector33: r.sector33, sector33_name: r.sector33_name,
+      per: r.per ?? null, pbr: r.pbr ?? null, dividend_yield: r.dividend_yield ?? null, market_cap: r.market_cap ?? null,
+      ...(divBasis && divBasis !== "dps" ? { [DIV_YIELD_FIELDS[divBasis]]: r[DIV_YIELD_FIELDS[divBasis]] ?? null, payout_ratio: r.payout_ratio ?? null } : {}),
+      mom_3m: r.mom_3m ?? null, mom_6m: r.mom_6m ?? null, mom_12m: r.mom_12m ?? null,
+      rs_3m: r.rs_3m ?? null, rs_6m: r.rs_6m ?? null, rs_12m: r.rs_12m ?? null,
+      next_earnings_date: r.next_earnings_date ?? null, days_to_earnings: r.days_to_earnings ?? null,
+      recently_reported: r.recently_reported ?? null,
+      ...tech,
+      ...credit,
+      ...(rankOpt ? { roe: r.roe ?? null, roa: r.roa ?? null, factor_scores: r.factor_scores } : {}),
+      // as_of 指定時は PER 等の出所（開示日・書類種別）も返す
+      ...(asOf && "fins_disclosed_date" in r ? { fins_disclosed_date: r.fins_disclosed_date, fins_document: r.fins_document } : {}),
+      avg_trading_value: Math.round(r.avg_trading_value),
+      score: rankOpt ? r.composite : r.score
+    };
+  });
+  items.sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+  return items.slice(0, limit);
+}
+
+// -------------------- バックテスト（as_of 時点の screen/basic → 先行リターン）
+// ホライズンは月数。1か月 ≒ 21 営業日（モメンタムと同じ近似）
+const BACKTEST_HORIZONS = [1, 3, 6, 12];
+const TRADING_DAYS_PER_MONTH = 21;
+
+function parseHorizons(v) {
+  if (v == null || v === "") return [...BACKTEST_HORIZONS];
+  const out = String(v).split(",").map(x => x.trim()).filter(Boolean).map(x => {
+    const n = Number(x);
+    if (!Number.isInteger(n) || n < 1 || n > 24) throw new Error(`invalid horizon: ${x} (months, 1-24)`);
+    return n;
+  });
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+function mean(vals) {
+  const a = vals.filter(v => v != null && Number.isFinite(v));
+  return a.length ? a.reduce((x, y) => x + y, 0) / a.length : null;
+}
+// 分割・併合をまたぐので両端とも調整後終値がある時はそちらを使う。
+// 調整後終値は取得した時点の調整なので、q0・q1 は同じ時に取り直した日足であること（保存済みの日どうしは比べない）
+function forwardReturn(q0, q1) {
+  if (!q0 || !q1) return null;
+  if (q0.adj_close != null && q1.adj_close != null) return calcReturn(q1.adj_close, q0.adj_close);
+  return calcReturn(q1.close, q0.close);
+}
+
+// picks：as_of の screen/basic 結果、universe：同じ母集団（流動性・市場・業種）
+// 各ホライズンで等ウェイトのバスケットとユニバースを比較し、ヒット率＝ユニバース中央値を上回った割合
+async function runBacktest(picks, universe, baseDate, horizons, idTokenOverride) {
+  const maxDays = Math.max(...horizons) * TRADING_DAYS_PER_MONTH;
+  const fwdDates = await getTradingDatesAfter(baseDate, maxDays, idTokenOverride);
+  // 基準日・各ホライズン日ともストア・キャッシュを使わず取り直す（調整後終値の基準をそろえる）
+  const fresh = async (date) => new Map((await fetchDailyQuotesByDate(date, idTokenOverride, { refresh: true })).map(q => [codeStr(q.code), q]));
+  const base = await fresh(baseDate);
+
+  const returns = new Map(picks.map(p => [p.code, {}]));
+  const summary = {};
+  for (const h of horizons) {
+    const key = `${h}m`;
+    const date = fwdDates[h * TRADING_DAYS_PER_MONTH - 1] || null;
+    if (!date) { summary[key] = { months: h, date: null, pending: true }; continue; }
+
+    const fwd = await fresh(date);
+    const ret = (code) => forwardReturn(base.get(code), fwd.get(code));
+    const uniRets = universe.map(ret).filter(v => v != null);
+    const uniMedian = median(uniRets);
+    const pickRets = picks.map(p => {
+      const r = ret(p.code);
+      returns.get(p.code)[key] = r;
+      return r;
+    }).filter(v => v != null);
+
+    const basket = mean(pickRets), uni = mean(uniRets);
+    summary[key] = {
+      months: h, date,
+      n_picks: pickRets.length, n_universe: uniRets.length,
+      basket_return: basket,
+      universe_return: uni,
+      universe_median: uniMedian,
+      excess_return: basket != null && uni != null ? basket - uni : null,
+      hit_rate: pickRets.length && uniMedian != null ? pickRets.filter(r => r > uniMedian).length / pickRets.length : null
+    };
+  }
+  return { summary, returns };
+}
+
+// -------------------- ポートフォリオ分析（保有数量・取得単価 → 評価額・損益・加重バリュエーション・リスク）
+// リスクは現在のウェイトを固定した日次リターン系列（現金はリターン0）で TOPIX と比較する
+const TRADING_DAYS_PER_YEAR = 252;
+
+// body.holdings → 検証済み配列（同一コードは数量・取得額を合算）。不正なら throw（→ 400）
+function parseHoldings(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) throw new Error("holdings must be a non-empty array");
+  const m = new Map();
+  raw.forEach((h, i) => {
+    const code = codeStr(String(h?.code ?? "").trim());
+    if (!code) throw new Error(`holdings[${i}].code is required`);
+    const quantity = toNum(h.quantity);
+    if (!Number.isFinite(quantity) || quantity === 0) throw new Error(`holdings[${i}].quantity must be a non-zero number`);
+    const cb = h.cost_basis == null || h.cost_basis === "" ? null : toNum(h.cost_basis);
+    if (cb != null && !Number.isFinite(cb)) throw new Error(`holdings[${i}].cost_basis must be a number`);
+    const cur = m.get(code) || { code, quantity: 0, cost: 0, costKnown: true };
+    cur.quantity += quantity;
+    if (cb == null) cur.costKnown = false; else cur.cost += quantity * cb;
+    m.set(code, cur);
+  });
+  return [...m.values()].map(h => ({
+    code: h.code, quantity: h.quantity,
+    cost: h.costKnown ? h.cost : null,
+    cost_basis: h.costKnown && h.quantity ? h.cost / h.quantity : null
+  }));
+}
+
+function stdev(xs) {
+  if (xs.length < 2) return null;
+  const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+  return Math.sqrt(xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1));
+}
+function covariance(xs, ys) {
+  if (xs.length < 2) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length, my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let s = 0;
+  for (let i = 0; i < xs.length; i++) s += (xs[i] - mx) * (ys[i] - my);
+  return s / (xs.length - 1);
+}
+function betaOf(rs, rm) {
+  const v = stdev(rm);
+  return v ? covariance(rs, rm) / (v * v) : null;
+}
+const annualVol = (rs) => { const s = stdev(rs); return s == null ? null : s * Math.sqrt(TRADING_DAYS_PER_YEAR); };
+
+// 日次リターン系列 → 最大ドローダウン（負の値）と期間
+function maxDrawdown(dates, rets) {
+  let v = 1, peak = 1, peakDate = dates[0], best = { max_drawdown: 0, peak_date: null, trough_date: null };
+  rets.forEach((r, i) => {
+    v *= 1 + r;
+    if (v > peak) { peak = v; peakDate = dates[i + 1]; }
+    const dd = v / peak - 1;
+    if (dd < best.max_drawdown) best = { max_drawdown: dd, peak_date: peakDate, trough_date: dates[i + 1] };
+  });
+  return best;
+}
+
+// ウェイト（合計1に正規化）→ HHI・実効銘柄数・上位集中度
+function concentration(weights) {
+  const total = weights.reduce((a, w) => a + Math.abs(w), 0);
+  if (!total) return { hhi: null, effective_n: null, top1_weight: null, top5_weight: null, top10_weight: null };
+  const ws = weights.map(w => Math.abs(w) / total).sort((a, b) => b - a);
+  const hhi = ws.reduce((a, w) => a + w * w, 0);
+  const top = (n) => ws.slice(0, n).reduce((a, w) => a + w, 0);
+  return { hhi, effective_n: 1 / hhi, top1_weight: top(1), top5_weight: top(5), top10_weight: top(10) };
+}
+
+// 加重平均（v が null の銘柄は除き、カバー率を返す）。harmonic=true は Σw / Σ(w/v)
+function weightedAverage(pairs, harmonic = false) {
+  const xs = pairs.filter(p => p.w != null && p.v != null && Number.isFinite(p.v) && (!harmonic || p.v !== 0));
+  const wsum = xs.reduce((a, p) => a + p.w, 0);
+  const all = pairs.reduce((a, p) => a + (p.w ?? 0), 0);
+  if (!wsum) return { value: null, coverage: 0 };
+  const value = harmonic
+    ? (() => { const d = xs.reduce((a, p) => a + p.w / p.v, 0); return d > 0 ? wsum / d : null; })()
+    : xs.reduce((a, p) => a + p.w * p.v, 0) / wsum;
+  return { value, coverage: all ? wsum / all : 0 };
+}
+
+// opt: { holdings（parseHoldings 済み）, cash, lookback（営業日）, asOf }
+async function portfolioAnalytics(opt, idTokenOverride) {
+  const { holdings, cash = 0, lookback = TRADING_DAYS_PER_YEAR, asOf = null } = opt;
+  const [listedMap, priceDate, finsIdx] = await Promise.all([
+    getListedMap(idTokenOverride),
+    getLatestTradingDate(idTokenOverride, asOf),
+    ensureFinsIndex(asOf, idTokenOverride).catch(e => (dlog("fins index failed", e.message), null))
+  ]);
+  if (!priceDate) throw new Error("no trading date available");
+  const dq = await fetchDailyQuotesByDate(priceDate, idTokenOverride);
+  const closeMap = new Map(dq.map(it => [codeStr(it.code), it.close]));
+
+  const from = new Date(new Date(`${priceDate}T00:00:00Z`).getTime() - Math.ceil(lookback * 1.5 + 10) * DAY).toISOString().slice(0, 10);
+  // TOPIX が取れなければ営業日カレンダーを日付軸にし、対 TOPIX の指標（beta など）は null で返す
+  const warnings = [];
+  let topix = null;
+  try {
+    topix = await fetchTopixHistory(from, priceDate, idTokenOverride);
+  } catch (e) {
+    if (isFatalUpstream(e)) throw e;
+    warnings.push(`TOPIX history unavailable (${e.message}); benchmark statistics are null`);
+  }
+  const dates = (topix ? topix.map(b => b.date) : await getTradingDatesBetween(from, priceDate, idTokenOverride)).slice(-(lookback + 1));
+  const mkt = topix ? topix.slice(-(lookback + 1)).map((b, i, a) => (i ? b.close / a[i - 1].close - 1 : null)).slice(1) : null;
+
+  // 銘柄別：評価額・損益・バリュエーション・日次リターン（欠損日は前日値で埋める＝リターン0）
+  const items = [];
+  for (const h of holdings) {
+    const meta = listedMap.get(h.code) || {};
+    const close = closeMap.get(h.code) ?? null;
+    const mv = close != null ? h.quantity * close : null;
+    const it = {
+      code: h.code, name: meta.name || "", market: meta.marketJa || "", ...sectorFields(meta),
+      quantity: h.quantity, cost_basis: h.cost_basis, close,
+      market_value: mv, weight: null,
+      cost: h.cost,
+      unrealized_pnl: mv != null && h.cost != null ? mv - h.cost : null,
+      unrealized_pnl_pct: mv != null && h.cost ? (mv - h.cost) / Math.abs(h.cost) : null,
+      per: null, pbr: null, dividend_yield: null, earnings_yield: null,
+      volatility: null, beta: null, error: close == null ? `no price on ${priceDate}` : null
+    };
+    try {
+      const s = summarizeFins(statementsAsOf(await finsStatementsFor(h.code, finsIdx, idTokenOverride), asOf ? priceDate : null));
+      ({ per: it.per, pbr: it.pbr, dividend_yield: it.dividend_yield, earnings_yield: it.earnings_yield } = valuationMetrics(close, s));
+    } catch (e) {
+      if (isFatalUpstream(e)) throw e;
+      it.error = (it.error ? it.error + "; " : "") + e.message;
+    }
+    try {
+      const bars = new Map((await fetchPriceHistory(h.code, from, priceDate, idTokenOverride)).map(b => [b.date, b.close]));
+      let prev = null;
+      const closes = dates.map(d => (prev = bars.get(d) ?? prev));
+      it._rets = closes.slice(1).map((c, i) => (c != null && closes[i] != null ? c / closes[i] - 1 : 0));
+      it.volatility = annualVol(it._rets);
+      it.beta = mkt ? betaOf(it._rets, mkt) : null;
+    } catch (e) {
+      if (isFatalUpstream(e)) throw e;
+      it.error = (it.error ? it.error + "; " : "") + e.message;
+    }
+    items.push(it);
+  }
+
+  const equity = items.reduce((a, it) => a + (it.market_value ?? 0), 0);
+  const total = equity + cash;
+  for (const it of items) it.weight = total && it.market_value != null ? it.market_value / total : null;
+  const costed = items.filter(it => it.cost != null && it.market_value != null);
+  const cost = costed.reduce((a, it) => a + it.cost, 0);
+  const pnl = costed.reduce((a, it) => a + it.unrealized_pnl, 0);
+
+  // ポートフォリオ日次リターン（現在ウェイト固定）
+  const port = dates.slice(1).map((_, t) => items.reduce((a, it) => a + (it.weight ?? 0) * (it._rets?.[t] ?? 0), 0));
+  const active = mkt ? port.map((r, t) => r - mkt[t]) : null;
+  const dd = maxDrawdown(dates, port);
+  const sm = stdev(port), sb = mkt ? stdev(mkt) : null;
+
+  // 業種別ウェイト（33業種）
+  const sectors = new Map();
+  for (const it of items) {
+    if (it.weight == null) continue;
+    const k = it.sector33 || "";
+    const g = sectors.get(k) || { sector33: it.sector33, sector33_name: it.sector33_name, weight: 0 };
+    g.weight += it.weight;
+    sectors.set(k, g);
+  }
+  const eqW = (it) => (equity && it.market_value != null ? it.market_value / equity : null);
+
+  return {
+    price_date: priceDate,
+    totals: {
+      market_value: equity, cash, total_value: total,
+      cash_weight: total ? cash / total : null,
+      cost: costed.length ? cost : null,
+      unrealized_pnl: costed.length ? pnl : null,
+      unrealized_pnl_pct: costed.length && cost ? pnl / Math.abs(cost) : null
+    },
+    // 株式部分の加重（PER/PBR は調和平均＝益回り・簿価利回りの加重平均の逆数）
+    valuation: (() => {
+      const per = weightedAverage(items.map(it => ({ w: eqW(it), v: it.per })), true);
+      const pbr = weightedAverage(items.map(it => ({ w: eqW(it), v: it.pbr })), true);
+      const dy = weightedAverage(items.map(it => ({ w: eqW(it), v: it.dividend_yield })));
+      return {
+        per: per.value, pbr: pbr.value, dividend_yield: dy.value,
+        coverage: { per: per.coverage, pbr: pbr.coverage, dividend_yield: dy.coverage }
+      };
+    })(),
+    risk: {
+      benchmark: "TOPIX",
+      lookback_days: lookback,
+      observations: port.length,
+      from: dates[0] ?? null, to: dates[dates.length - 1] ?? null,
+      volatility: annualVol(port),
+      benchmark_volatility: mkt ? annualVol(mkt) : null,
+      beta: mkt ? betaOf(port, mkt) : null,
+      correlation: sm && sb ? covariance(port, mkt) / (sm * sb) : null,
+      tracking_error: active ? annualVol(active) : null,
+      ...dd
+    },
+    concentration: {
+      ...concentration(items.map(it => it.market_value ?? 0)),
+      sectors: [...sectors.values()].sort((a, b) => b.weight - a.weight)
+    },
+    items: items.map(({ _rets, ...it }) => it).sort((a, b) => (b.weight ?? -Infinity) - (a.weight ?? -Infinity)),
+    ...(warnings.length ? { warnings } : {})
+  };
+}
+
+// -------------------- 非同期スクリーニングジョブ（/api/screen/basic の条件を分割実行。状態はジョブストアに保存）
+// 1回の実行（スライス）は時間予算・走査上限まで。止まった位置（cursor）から resume で続きを評価する。
+// 母集団と並び順は初回の universe に固定し、以後のスライスも同じ順で走査する。
+// アダプタIF（すべて async）: get(id) -> job | null / put(job) / remove(id)
+const JOB_TTL_MS = 24 * HOUR;
+const JOB_LEASE_MS = 60 * 1000;     // 実行中の二重起動防止（落ちた実行はこの時間で解放）
+const JOB_SLICE_BUDGET_MS = 20000;
+const JOB_SLICE_MAX_SCAN = 500;
+
+function createMemoryJobStore() {
+  const m = new Map();
+  return {
+    name: "memory",
+    async get(id) { return m.has(id) ? structuredClone(m.get(id)) : null; },
+    async put(job) {
+      m.set(job.id, structuredClone(job));
+      for (const [k, j] of m) if (j.expires_at <= now()) m.delete(k);
+    },
+    async remove(id) { m.delete(id); }
+  };
+}
+
+function createFileJobStore(dir) {
+  const base = nodePath.join(dir, "jobs");
+  const valid = (id) => /^[0-9a-f-]{36}$/.test(id);
+  const file = (id) => nodePath.join(base, `${id}.json`);
+  return {
+    name: "file",
+    dir: base,
+    async get(id) {
+      if (!valid(id)) return null;
+      try {
+        return JSON.parse(await fsp.readFile(file(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(job) {
+      if (!valid(job.id)) throw new Error(`invalid job id: ${job.id}`);
+      await fsp.mkdir(base, { recursive: true });
+      const tmp = `${file(job.id)}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify(job));
+      await fsp.rename(tmp, file(job.id));
+    },
+    async remove(id) { if (valid(id)) await fsp.rm(file(id), { force: true }); }
+  };
+}
+
+let JOB_STORE; // undefined=未初期化
+function jobStore() {
+  if (JOB_STORE !== undefined) return JOB_STORE;
+  const kind = (process.env.JOB_STORE || "file").toLowerCase();
+  JOB_STORE = kind === "memory"
+    ? createMemoryJobStore()
+    : createFileJobStore(process.env.JOB_DIR || nodePath.join(os.tmpdir(), "jquants-proxy"));
+  return JOB_STORE;
+}
+// 外部アダプタ差し替え用（KV 等）
+export function setJobStore(adapter) { JOB_STORE = adapter || undefined; }
+
+// 期限切れは無いものとして扱う
+async function loadJob(id) {
+  const job = await jobStore().get(id);
+  if (!job) return null;
+  if (job.expires_at <= now()) { await jobStore().remove(id); return null; }
+  return job;
+}
+
+// params（screen/basic のクエリと同じキー）→ ジョブ。検証は parseBasicScreen に任せる（不正なら throw）
+function createScreenJob(params) {
+  const sp = new URLSearchParams();
+  for (const [k, v] of Object.entries(params || {})) {
+    if (v == null) continue;
+    for (const x of Array.isArray(v) ? v : [v]) sp.append(k, String(x));
+  }
+  parseBasicScreen(sp);
+  const t = now();
+  return {
+    id: randomUUID(), type: "screen", status: "queued",
+    params: sp.toString(),
+    created_at: t, updated_at: t, expires_at: t + JOB_TTL_MS, lease_until: 0,
+    universe: null, cursor: 0, price_date: null,
+    progress: { candidates: null, processed: 0, scanned: 0, kept: 0, slices: 0 },
+    rows: [], error: null
+  };
+}
+
+// 1スライス実行して保存。母集団全体を走査し終えたら done
+async function runJobSlice(job, { budgetMs = JOB_SLICE_BUDGET_MS, maxScan = JOB_SLICE_MAX_SCAN } = {}, idTokenOverride) {
+  const p = parseBasicScreen(new URLSearchParams(job.params));
+  job.status = "running";
+  job.lease_until = now() + Math.max(budgetMs, 5000) + JOB_LEASE_MS;
+  await jobStore().put(job);
+  try {
+    const { rows, stats, universe, price_date } = await runScreen({
+      ...p.spec,
+      // ジョブは limit で打ち切らず全件走査し、最後に並べ替える
+      stopAtLimit: false, budgetMs, maxScan,
+      order: job.universe, cursor: job.cursor
+    }, idTokenOverride);
+    if (!job.universe) Object.assign(job, { universe, price_date });
+    job.rows.push(...rows);
+    const pr = job.progress;
+    pr.candidates = job.universe.length;
+    pr.processed += stats.processed; pr.scanned += stats.scanned; pr.kept = job.rows.length; pr.slices++;
+    job.cursor = stats.next_cursor ?? job.universe.length;
+    job.status = stats.next_cursor == null ? "done" : "paused";
+  } catch (e) {
+    job.status = "failed";
+    job.error = String(e && e.message || e);
+    job.error_type = e instanceof ApiError ? e.type : "internal";
+  }
+  job.lease_until = 0;
+  job.updated_at = now();
+  await jobStore().put(job);
+  return job;
+}
+
+// 応答形：進捗と、途中（partial）または最終の結果
+function jobView(job, { withItems = true } = {}) {
+  const p = parseBasicScreen(new URLSearchParams(job.params));
+  const total = job.universe ? job.universe.length : null;
+  const out = {
+    id: job.id, type: job.type, status: job.status,
+    params: Object.fromEntries(new URLSearchParams(job.params)),
+    created_at: new Date(job.created_at).toISOString(),
+    updated_at: new Date(job.updated_at).toISOString(),
+    expires_at: new Date(job.expires_at).toISOString(),
+    price_date: job.price_date,
+    progress: { ...job.progress, cursor: job.cursor, pct: total ? job.cursor / total : (job.status === "done" ? 1 : 0) },
+    complete: job.status === "done",
+    error: job.error,
+    error_type: job.error ? job.error_type ?? "internal" : null
+  };
+  if (withItems) {
+    // 行は保存用のコピーで並べ替える（rankByFactors が行を書き換えるため）
+    const items = basicItems(job.rows.map(r => ({ ...r })), p);
+    Object.assign(out, { partial: job.status !== "done", matched: job.rows.length, count: items.length, items });
+    if (p.rankOpt) out.ranking = { ...p.rankOpt, n: job.rows.length };
+  }
+  return out;
+}
+
+// -------------------- API キー（クライアント別のスコープ・クォータ・利用状況）
+// API_KEYS_FILE（JSON）: { "keys": [ {
+//   "name": "gpt-connector",                      … 一意。利用状況の集計キー
+//   "key": "…" または "key_sha256": "<hex>",      … 平文を置きたくなければハッシュ
+//   "scopes": ["GET screen/*", "prices/*", "!jobs/*"], … /api/ 以下のパス。"METHOD " で限定、"!" で除外。省略時 ["*"]
+//   "per_minute": 60, "per_day": 5000,            … 省略時は無制限
+//   "expires_at": "2026-12-31T23:59:59+09:00", "disabled": false } ] }
+// idToken を返す auth/refresh と admin/* は "*" では許可されず、明示したスコープが要る。
+// PROXY_BEARER は従来どおり全権限（admin・auth/refresh を含む）。ファイルは変更されたら読み直す。
+// クォータ・利用状況はインスタンスごとのメモリ集計（サーバーレスでは各インスタンスの値）。
+const API_KEYS_RECHECK_MS = 30 * 1000;
+const SENSITIVE_SCOPES = ["auth/refresh", "admin/*"];
+const LEGACY_CLIENT = { name: "proxy_bearer", legacy: true, scopes: ["*"], per_minute: null, per_day: null, expires_at: null, disabled: false };
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest("hex");
+// 長さに依らず一定時間で比較（ハッシュ同士を比べる）
+function secretEquals(a, b) {
+  return timingSafeEqual(createHash("sha256").update(String(a)).digest(), createHash("sha256").update(String(b)).digest());
+}
+
+// 定義の検証。不正なら Error（読み込み失敗として直前の定義を使い続ける）
+function parseApiKeys(j) {
+  const arr = Array.isArray(j) ? j : j?.keys;
+  if (!Array.isArray(arr)) throw new Error('expected { "keys": [...] }');
+  const names = new Set();
+  return arr.map((k, i) => {
+    const at = `keys[${i}]`;
+    if (!k || typeof k.name !== "string" || !k.name) throw new Error(`${at}.name: required`);
+    if (names.has(k.name) || k.name === LEGACY_CLIENT.name) throw new Error(`${at}.name: duplicate "${k.name}"`);
+    names.add(k.name);
+    const hash = k.key_sha256 ? String(k.key_sha256).toLowerCase() : (typeof k.key === "string" && k.key ? sha256(k.key) : null);
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw new Error(`${at}: key or key_sha256 is required`);
+    const scopes = k.scopes ?? ["*"];
+    if (!Array.isArray(scopes) || scopes.some(sc => typeof sc !== "string" || !/^!?(?:[A-Z]+ )?[\w*/.-]+$/.test(sc))) {
+      throw new Error(`${at}.scopes: must be an array of route patterns`);
+    }
+    const quota = (v, f) => {
+      if (v == null) return null;
+      const n = toInt(v);
+      if (n == null || n < 1) throw new Error(`${at}.${f}: must be a positive integer`);
+      return n;
+    };
+    const expires_at = k.expires_at ? Date.parse(k.expires_at) : null;
+    if (k.expires_at && !Number.isFinite(expires_at)) throw new Error(`${at}.expires_at: invalid date`);
+    return { name: k.name, hash, scopes, per_minute: quota(k.per_minute, "per_minute"), per_day: quota(k.per_day, "per_day"), expires_at, disabled: !!k.disabled };
+  });
+}
+
+let API_KEYS = { file: null, mtimeMs: 0, checkedAt: 0, loadedAt: 0, error: null, byHash: new Map(), list: [] };
+async function apiKeys() {
+  const file = process.env.API_KEYS_FILE;
+  if (!file) return API_KEYS;
+  if (API_KEYS.file === file && now() - API_KEYS.checkedAt < API_KEYS_RECHECK_MS) return API_KEYS;
+  API_KEYS.checkedAt = now();
+  try {
+    const st = await fsp.stat(file);
+    if (API_KEYS.file === file && st.mtimeMs === API_KEYS.mtimeMs && !API_KEYS.error) return API_KEYS;
+    const list = parseApiKeys(JSON.parse(await fsp.readFile(file, "utf8")));
+    API_KEYS = { file, mtimeMs: st.mtimeMs, checkedAt: now(), loadedAt: now(), error: null, byHash: new Map(list.map(k => [k.hash, k])), list };
+  } catch (e) {
+    logEvent("error", "api_keys_load_failed", { file, message: e.message });
+    Object.assign(API_KEYS, { file, error: e.message }); // 直前の正常な定義を使い続ける
+  }
+  return API_KEYS;
+}
+
+// scope: "prices/*" / "GET screen/*" / "*" / "auth/refresh"。rel は /api/ を除いたパス
+function scopeMatches(scope, method, rel) {
+  const m = scope.match(/^(?:([A-Z]+) )?(.+)$/);
+  if (m[1] && m[1] !== method) return false;
+  const pat = m[2];
+  if (pat === "*") return true;
+  if (pat.endsWith("/*")) return rel === pat.slice(0, -2) || rel.startsWith(pat.slice(0, -1));
+  return rel === pat;
+}
+function scopeAllows(scopes, method, rel) {
+  const deny = scopes.filter(sc => sc.startsWith("!")).map(sc => sc.slice(1));
+  if (deny.some(sc => scopeMatches(sc, method, rel))) return false;
+  const sensitive = SENSITIVE_SCOPES.some(sc => scopeMatches(sc, method, rel));
+  return scopes.some(sc => !sc.startsWith("!") && scopeMatches(sc, method, rel) &&
+    // 機微なルートは "*" / "GET *" のような全体ワイルドカードでは通さない
+    !(sensitive && /(^| )\*$/.test(sc)));
+}
+
+const KEY_USAGE = new Map(); // name -> 利用状況（定義の読み直しでも消さない）
+function keyUsage(name) {
+  if (!KEY_USAGE.has(name)) {
+    KEY_USAGE.set(name, { requests: 0, denied: 0, throttled: 0, last_used_at: null,
+      minute: { window: null, count: 0 }, day: { window: null, count: 0 }, routes: {} });
+  }
+  return KEY_USAGE.get(name);
+}
+// 固定窓（分・JST 日）で数える。超過時は窓が変わるまでの ms を返す
+function chargeQuota(key, u) {
+  const t = now();
+  const mw = Math.floor(t / MIN), dw = jstDateStr(t);
+  if (u.minute.window !== mw) u.minute = { window: mw, count: 0 };
+  if (u.day.window !== dw) u.day = { window: dw, count: 0 };
+  if (key.per_minute && u.minute.count >= key.per_minute) return (mw + 1) * MIN - t;
+  if (key.per_day && u.day.count >= key.per_day) return msUntilNextJstDay(t);
+  u.minute.count++; u.day.count++;
+  return null;
+}
+// 集計用のルート名（ジョブID などは :id にまとめる）
+const routeLabel = (path) => path.replace(/\/[0-9a-f]{8}-[0-9a-f-]{27}(?=\/|$)/g, "/:id");
+const routeKey = (method, path) => `${method} ${routeLabel(path)}`;
+
+// Bearer → クライアント。失敗時は応答を書いて null
+async function requireProxyAuth(req, res, method, path) {
+  const header = req.headers["authorization"] || req.headers["Authorization"];
+  if (!header || !header.startsWith("Bearer ")) {
+    json(res, 401, { error: "Missing Authorization: Bearer" });
+    return null;
+  }
+  const token = header.slice("Bearer ".length).trim();
+  let key = process.env.PROXY_BEARER && secretEquals(token, process.env.PROXY_BEARER) ? LEGACY_CLIENT : null;
+  if (!key) key = (await apiKeys()).byHash.get(sha256(token)) || null;
+  if (!key) {
+    json(res, 401, { error: "Invalid bearer token" });
+    return null;
+  }
+  const u = keyUsage(key.name);
+  if (key.disabled || (key.expires_at && key.expires_at <= now())) {
+    u.denied++;
+    json(res, 401, { error: `API key "${key.name}" is ${key.disabled ? "disabled" : "expired"}` });
+    return null;
+  }
+  const rel = path.replace(/^\/api\/?/, "");
+  if (!key.legacy && !scopeAllows(key.scopes, method, rel)) {
+    u.denied++;
+    json(res, 403, { error: `API key "${key.name}" is not allowed to access ${method} ${path}` });
+    return null;
+  }
+  const wait = chargeQuota(key, u);
+  if (wait != null) {
+    u.throttled++;
+    res.setHeader("Retry-After", String(Math.max(1, Math.ceil(wait / 1000))));
+    json(res, 429, { error: `API key "${key.name}" exceeded its quota` });
+    return null;
+  }
+  u.requests++;
+  u.last_used_at = now();
+  const rk = routeKey(method, path);
+  u.routes[rk] = (u.routes[rk] || 0) + 1;
+  const ctx = REQ_CTX.getStore();
+  if (ctx) ctx.client = key.name;
+  return key;
+}
+
+// 管理用：定義（キーそのものは出さない）と利用状況
+function keyView(key) {
+  const u = keyUsage(key.name);
+  const t = now();
+  return {
+    name: key.name, legacy: !!key.legacy, scopes: key.scopes,
+    per_minute: key.per_minute, per_day: key.per_day,
+    expires_at: key.expires_at ? new Date(key.expires_at).toISOString() : null,
+    disabled: key.disabled, expired: !!(key.expires_at && key.expires_at <= t),
+    usage: {
+      requests: u.requests, denied: u.denied, throttled: u.throttled,
+      last_used_at: u.last_used_at ? new Date(u.last_used_at).toISOString() : null,
+      minute: u.minute.window === Math.floor(t / MIN) ? u.minute.count : 0,
+      day: u.day.window === jstDateStr(t) ? u.day.count : 0,
+      routes: u.routes
+    }
+  };
+}
+
+// -------------------- ルート定義（ルーター・入力検証・/api/openapi.json で共通）
+// { op, method, path, summary, description, auth（既定 true）, query, body, bodyRequired, queryInBody, validate, errorShape, produces }
+//   path の {id} はジョブID（UUID）。query / body はパラメータ定義（parseParams）
+//   validate：定義に書けない項目（名前がパターンのテクニカル条件など）の検証。不正なら paramError を投げる
+//   queryInBody：POST でクエリと同じ項目を JSON 本文でも受ける（本文が優先）
+//   errorShape：エラー時も崩さない応答の形。safe_return=1 ならエラーも 200 でこの形に載せる
+const ROUTES = [
+  { op: "health", method: "GET", path: "/api/health", auth: false, summary: "Health, token state, cache and upstream scheduler stats" },
+  { op: "openapi", method: "GET", path: "/api/openapi.json", auth: false, summary: "This OpenAPI document" },
+  { op: "metrics", method: "GET", path: "/api/metrics", summary: "Prometheus metrics", produces: "text/plain" },
+  { op: "adminUsage", method: "GET", path: "/api/admin/usage", summary: "API keys and their usage (admin scope)" },
+  {
+    op: "authRefresh", method: "POST", path: "/api/auth/refresh", summary: "Issue a J-Quants idToken (auth/refresh scope)",
+    body: {
+      refreshToken: { type: "string", description: "Refresh token to use instead of the proxy's own" },
+      refreshtoken: { type: "string", description: "Alias of refreshToken" },
+    }
+  },
+  { op: "snapshots", method: "GET", path: "/api/snapshots", summary: "Stored daily quote snapshot dates" },
+  {
+    op: "snapshotsBackfill", method: "POST", path: "/api/snapshots/backfill", summary: "Fetch and store the latest N trading days of daily quotes",
+    queryInBody: true,
+    query: {
+      days: { type: "integer", min: 1, max: 400, clamp: true, default: 20, description: "Number of trading days" },
+      refresh: { type: "boolean", default: false, description: "Re-fetch days that are already stored" },
+      budget_ms: COMMON_PARAMS.budget_ms,
+    }
+  },
+  {
+    op: "pricesDaily", method: "GET", path: "/api/prices/daily",
+    summary: "Raw J-Quants daily quotes for a code (one upstream page as-is; follow pagination_key for the rest)",
+    query: {
+      code: COMMON_PARAMS.code, from: COMMON_PARAMS.from, to: COMMON_PARAMS.to,
+      pagination_key: { type: "string", description: "pagination_key from the previous response" },
+    }
+  },
+  {
+    op: "pricesHistory", method: "GET", path: "/api/prices/history", summary: "Normalized OHLCV history",
+    query: {
+      code: COMMON_PARAMS.code,
+      adjusted: { type: "boolean", default: true, description: "Split/merger-adjusted values" },
+      from: COMMON_PARAMS.from, to: COMMON_PARAMS.to,
+    }
+  },
+  {
+    op: "indicesHistory", method: "GET", path: "/api/indices/history", summary: "Normalized index OHLC history",
+    query: {
+      code: { type: "string", default: "topix", description: "topix or a J-Quants index code" },
+      from: COMMON_PARAMS.from, to: COMMON_PARAMS.to,
+    }
+  },
+  {
+    op: "pricesIndicators", method: "GET", path: "/api/prices/indicators", summary: "Technical indicators for a code",
+    query: {
+      code: COMMON_PARAMS.code,
+      ind: { type: "string", description: `Comma-separated indicators with optional arguments, e.g. sma:25,rsi:14,macd,bb:20,atr:14 (default ${DEFAULT_INDICATORS})` },
+      series: { type: "boolean", default: false, description: "Also return the last `points` bars with indicator values" },
+      points: { type: "integer", min: 1, max: 1000, clamp: true, default: 60, description: "Number of bars in series" },
+      to: { ...COMMON_PARAMS.to, description: "Evaluate up to this date (YYYY-MM-DD, default today)" },
+    }
+  },
+  { op: "finsIndex", method: "GET", path: "/api/fins/index", summary: "Status of the bulk fundamentals index" },
+  {
+    op: "finsIndexBackfill", method: "POST", path: "/api/fins/index/backfill", summary: "Fetch missing disclosure dates into the fundamentals index",
+    description: "Call repeatedly until remaining is empty.",
+    queryInBody: true, query: { budget_ms: COMMON_PARAMS.budget_ms }
+  },
+  {
+    op: "finsStatements", method: "GET", path: "/api/fins/statements", summary: "Valuation summary, TTM and quarterly figures from financial statements",
+    query: { code: COMMON_PARAMS.code, as_of: COMMON_PARAMS.as_of }
+  },
+  {
+    op: "finsDividends", method: "GET", path: "/api/fins/dividends", summary: "Dividend history, forecasts and dividend metrics",
+    query: { code: COMMON_PARAMS.code, as_of: COMMON_PARAMS.as_of }
+  },
+  {
+    op: "finsAnnouncements", method: "GET", path: "/api/fins/announcements", summary: "Scheduled earnings announcements",
+    query: { code: { ...COMMON_PARAMS.code, required: false }, from: COMMON_PARAMS.from, to: COMMON_PARAMS.to }
+  },
+  {
+    op: "creditWeekly", method: "GET", path: "/api/credit/weekly", summary: "Weekly margin balances with credit ratio, margin days and trend",
+    query: {
+      code: COMMON_PARAMS.code,
+      weeks: { type: "integer", min: 4, clamp: true, default: 26, description: "Number of weeks to return" },
+      window: { type: "integer", min: 3, max: 104, clamp: true, default: MARGIN_Z_WINDOW, description: "Weeks used for change z-scores" },
+      trend_weeks: { type: "integer", min: 1, max: 52, clamp: true, default: MARGIN_TREND_WEEKS, description: "Weeks used for the trend" },
+      volume_days: { type: "integer", min: 1, max: 120, clamp: true, default: 20, description: "Trading days for the average volume" },
+    }
+  },
+  {
+    op: "creditDailyPublic", method: "GET", path: "/api/credit/daily_public", summary: "Daily published margin interest (designated issues only)",
+    query: { code: COMMON_PARAMS.code, days: { type: "integer", min: 7, clamp: true, default: 60, description: "Number of days" } }
+  },
+  {
+    op: "shortSectors", method: "GET", path: "/api/short/sectors", summary: "Short selling ratio by 33 sectors with rolling change and z-score",
+    query: {
+      window: { type: "integer", min: 3, max: 250, clamp: true, default: 20, description: "Rolling window (trading days)" },
+      from: COMMON_PARAMS.from, to: COMMON_PARAMS.to,
+      sector33: { ...COMMON_PARAMS.sector33, description: "Comma-separated 33-sector codes (series are returned when given)" },
+    }
+  },
+  {
+    op: "shortPositions", method: "GET", path: "/api/short/positions", summary: "Large short positions by holder and their total",
+    query: {
+      code: COMMON_PARAMS.code,
+      window: { type: "integer", min: 3, max: 100, clamp: true, default: 10, description: "Rolling window (reports)" },
+      from: { ...COMMON_PARAMS.from, description: "Disclosed on or after (YYYY-MM-DD)" },
+      to: { ...COMMON_PARAMS.to, description: "Disclosed on or before (YYYY-MM-DD)" },
+    }
+  },
+  {
+    op: "flowsInvestors", method: "GET", path: "/api/flows/investors", summary: "Weekly trading by investor type with rolling balance statistics",
+    query: {
+      window: { type: "integer", min: 3, max: 104, clamp: true, default: 12, description: "Rolling window (weeks)" },
+      section: { type: "string", default: "TSEPrime", description: "J-Quants market section, e.g. TSEPrime" },
+      from: COMMON_PARAMS.from, to: COMMON_PARAMS.to,
+    }
+  },
+  {
+    op: "universe", method: "GET", path: "/api/universe", summary: "Codes passing market / liquidity / sector filters, by trading value (paged)",
+    errorShape: { total: 0, offset: 0, limit: 0, codes: [] },
+    query: {
+      market: COMMON_PARAMS.market,
+      liquidity_min: { type: "number", min: 0, default: 100_000_000, description: "Minimum average trading value (JPY)" },
+      liquidity_mode: COMMON_PARAMS.liquidity_mode,
+      days: { type: "integer", min: 1, default: 20, description: "Trading days for the average" },
+      offset: { type: "integer", min: 0, clamp: true, default: 0, description: "Page offset" },
+      limit: { type: "integer", min: 1, max: 200, clamp: true, default: 150, description: "Page size" },
+      sector17: COMMON_PARAMS.sector17, sector33: COMMON_PARAMS.sector33,
+      with_meta: { type: "boolean", default: false, description: "Also return name, market and sectors" },
+      safe_return: COMMON_PARAMS.safe_return,
+    }
+  },
+  {
+    op: "screenLiquidity", method: "GET", path: "/api/screen/liquidity", summary: "All codes above a trading value threshold",
+    query: {
+      market: COMMON_PARAMS.market,
+      min_avg_trading_value: { type: "number", min: 0, default: 100_000_000, description: "Minimum average trading value (JPY)" },
+      days: { type: "integer", min: 1, description: "Trading days for the average (default 5 with fast=1, otherwise 20)" },
+      fast: { type: "boolean", default: false, description: "Light mode" },
+      liquidity_mode: COMMON_PARAMS.liquidity_mode,
+      sector17: COMMON_PARAMS.sector17, sector33: COMMON_PARAMS.sector33,
+      max_pages: { type: "integer", min: 1, description: "Upstream page limit" },
+      sleep_ms: { type: "integer", min: 0, description: "Wait between upstream pages" },
+    }
+  },
+  {
+    op: "screenBasic", method: "GET", path: "/api/screen/basic", summary: "Staged screen by liquidity, valuation, momentum, technical and credit conditions",
+    description: "Also accepts technical conditions <indicator>_lt / <indicator>_gt (rsi14_lt, sma25_gt, atr14_pct_lt, volratio20_gt, dist_high52_gt, macd_hist_gt …) and above_sma<N> / above_ema<N> = 1|0.",
+    errorShape: { count: 0, items: [] },
+    query: { ...SCREEN_PARAMS, safe_return: COMMON_PARAMS.safe_return }, validate: parseTechFilters
+  },
+  {
+    op: "screenBacktest", method: "GET", path: "/api/screen/backtest", summary: "Replay screen/basic as of a past date and measure forward returns",
+    description: "Same parameters as /api/screen/basic; as_of is required.",
+    query: {
+      ...SCREEN_PARAMS,
+      as_of: { ...COMMON_PARAMS.as_of, required: true },
+      horizons: { type: "string", description: "Comma-separated horizons in months, 1-24 (default 1,3,6,12)" },
+    },
+    validate: parseTechFilters
+  },
+  {
+    op: "screenQuery", method: "POST", path: "/api/screen/query", summary: "Screen with a JSON expression, sort order and output fields",
+    bodyRequired: true,
+    body: {
+      where: { type: "object", description: "Condition: { field, op, value } or { and: [...] } / { or: [...] } / { not: ... }" },
+      sort: { type: "any", description: "\"-field\" / \"field\" or an array of them" },
+      fields: { type: "any", description: "Output fields (array or comma-separated)" },
+      limit: { type: "integer", min: 1, max: 500, clamp: true, default: 50, description: "Maximum number of items" },
+      market: COMMON_PARAMS.market,
+      sector17: COMMON_PARAMS.sector17, sector33: COMMON_PARAMS.sector33,
+      universe: SCREEN_PARAMS.universe,
+      liquidity_min: SCREEN_PARAMS.liquidity_min,
+      liquidity_mode: COMMON_PARAMS.liquidity_mode,
+      days: { type: "integer", min: 1, default: 20, description: "Trading days for the liquidity average" },
+      max_scan: SCREEN_PARAMS.max_scan,
+      budget_ms: COMMON_PARAMS.budget_ms,
+      rank: { type: "object", description: "Factor ranking: { weights: { value, mom, quality, yield, size }, neutralize, winsor }" },
+      as_of: COMMON_PARAMS.as_of,
+      exclude_earnings_within: SCREEN_PARAMS.exclude_earnings_within,
+    }
+  },
+  {
+    op: "jobsScreen", method: "POST", path: "/api/jobs/screen", summary: "Create an asynchronous full-universe screen job and run its first slice",
+    bodyRequired: true,
+    body: {
+      params: { type: "object", default: {}, description: "Same keys as the /api/screen/basic query" },
+      budget_ms: { type: "integer", min: 0, default: JOB_SLICE_BUDGET_MS, description: "Time budget per slice" },
+      max_scan: { type: "integer", min: 0, default: JOB_SLICE_MAX_SCAN, description: "Codes scanned per slice" },
+      run: { type: "boolean", default: true, description: "Run the first slice immediately" },
+    }
+  },
+  {
+    op: "jobGet", method: "GET", path: "/api/jobs/{id}", summary: "Job progress and partial / final results",
+    query: { items: { type: "boolean", default: true, description: "Include result items (0 for progress only)" } }
+  },
+  { op: "jobDelete", method: "DELETE", path: "/api/jobs/{id}", summary: "Delete a job" },
+  {
+    op: "jobResume", method: "POST", path: "/api/jobs/{id}/resume", summary: "Run the next slice of a job (also retries a failed job)",
+    queryInBody: true,
+    query: {
+      budget_ms: { type: "integer", min: 0, default: JOB_SLICE_BUDGET_MS, description: "Time budget for this slice" },
+      max_scan: { type: "integer", min: 0, default: JOB_SLICE_MAX_SCAN, description: "Codes scanned in this slice" },
+    }
+  },
+  {
+    op: "sectors", method: "GET", path: "/api/sectors", summary: "Sector medians of PER / PBR / yield, total trading value and 3-month momentum",
+    query: {
+      level: { type: "string", enum: ["17", "33"], default: "33", description: "Sector classification" },
+      market: COMMON_PARAMS.market,
+      days: { type: "integer", min: 1, default: 20, description: "Trading days for the liquidity average" },
+      liquidity_mode: COMMON_PARAMS.liquidity_mode,
+      valuation: { type: "boolean", default: true, description: "Compute valuation medians" },
+      per_sector: { type: "integer", min: 1, max: 50, clamp: true, default: 10, description: "Codes per sector used for valuation (by trading value)" },
+      max_scan: { type: "integer", min: 0, default: 400, description: "Maximum codes to load statements for" },
+      budget_ms: { ...COMMON_PARAMS.budget_ms, min: 5000, clamp: true },
+      as_of: COMMON_PARAMS.as_of,
+    }
+  },
+  {
+    op: "portfolioSummary", method: "GET", path: "/api/portfolio/summary", summary: "Valuation, momentum and earnings fields for a list of codes",
+    query: {
+      codes: { type: "codes", required: true, description: "Codes (comma-separated or repeated)" },
+      with_credit: { type: "boolean", default: false, description: "Include the latest weekly margin balance" },
+      as_of: COMMON_PARAMS.as_of,
+    }
+  },
+  {
+    op: "portfolioAnalytics", method: "POST", path: "/api/portfolio/analytics", summary: "Portfolio value, weights, P&L, weighted valuation, TOPIX risk and concentration",
+    bodyRequired: true,
+    body: {
+      holdings: { type: "array", required: true, description: "[{ code, quantity, cost_basis (per share, optional) }]" },
+      cash: { type: "number", default: 0, description: "Cash (JPY)" },
+      lookback_days: { type: "integer", min: 20, max: 750, default: TRADING_DAYS_PER_YEAR, description: "Trading days for risk statistics" },
+      as_of: COMMON_PARAMS.as_of,
+    }
+  },
+];
+const ROUTE_PATTERNS = ROUTES.map(r => ({
+  route: r,
+  re: new RegExp(`^${r.path.replace(/[.]/g, "\\.").replace("{id}", "([0-9a-f-]{36})")}$`)
+}));
+
+// メソッド・パス → { route, id } / パスはあるがメソッド違い → { allow } / 該当なし → null
+function matchRoute(method, path) {
+  const allow = [];
+  for (const { route, re } of ROUTE_PATTERNS) {
+    const m = path.match(re);
+    if (!m) continue;
+    if (route.method === method) return { route, id: m[1] ?? null };
+    allow.push(route.method);
+  }
+  return allow.length ? { route: null, allow } : null;
 }
 
-// ---- 置き換え版 summarizeFins（EPS/BPS/DPS/ROE/ROA を最大限埋める） ----
-function summarizeFins(statements) {
-  if (!Array.isArray(statements) || statements.length === 0) {
-    return { eps_ttm: null, bps: null, dps: null, roe: null, roa: null };
+// 定義に沿ってクエリ・本文を検証 → { query, body }
+function parseRequest(route, req, url) {
+  let body = req.body;
+  if (typeof body === "string" && body.trim()) {
+    try { body = JSON.parse(body); } catch (_) { throw new ApiError("bad_request", "body must be JSON"); }
   }
-
-  // 開示日降順
-  const items = [...statements].sort((a, b) => {
-    const da = String(a.DisclosedDate || a.disclosedDate || "");
-    const db = String(b.DisclosedDate || b.disclosedDate || "");
-    return db.localeCompare(da);
-  });
-
-  const latest = items[0] || {};
-  const prev   = items[1] || {};
-
-  // EPS (TTM) … 直近4期合算
-  const epsVals = [];
-  for (let i = 0; i < Math.min(4, items.length); i++) {
-    const e = numFrom(items[i], {
-      aliases: ["EarningsPerShare", "EPS", "eps"],
-      regexKeys: [/^eps$/i, /earnings.*per.*share/i]
-    });
-    if (e != null) epsVals.push(e);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    if (route.bodyRequired) throw new ApiError("bad_request", "body is required");
+    body = {};
   }
-  const eps_ttm = epsVals.length ? epsVals.reduce((a, b) => a + b, 0) : null;
-
-  // BPS … 1) 直接 per-share 値 → 2) Equity/Shares から算出
-  let bps =
-    numFrom(latest, {
-      aliases: ["BookValuePerShare", "NetAssetsPerShare", "BPS", "bps", "EquityPerShare"],
-      regexKeys: [/book.*value.*per.*share/i, /net.*assets.*per.*share/i, /\bbps\b/i, /equity.*per.*share/i]
-    });
-  if (bps == null) bps = deriveBpsFromEquityShares(latest);
-
-  // DPS … 実績 > 予想。無ければ四半期の CashDividendsPaidPerShare を合算（年換算の代替）
-  let dps = numFrom(latest, {
-    aliases: [
-      "ResultDividendPerShareAnnual",
-      "ForecastDividendPerShareAnnual",
-      "DividendPerShare", "DPS", "dps"
-    ],
-    regexKeys: [/dividend.*per.*share/i]
-  });
-  if (dps == null) {
-    let sum = 0, seen = 0;
-    for (let i = 0; i < Math.min(4, items.length); i++) {
-      const q = numFrom(items[i], { aliases: ["CashDividendsPaidPerShare"], regexKeys: [/cash.*dividends.*per.*share/i] });
-      if (q != null) { sum += q; seen++; }
+  let src = url.searchParams;
+  if (route.queryInBody) {
+    src = {};
+    for (const [k, d] of Object.entries(route.query || {})) {
+      src[k] = body[k] ?? (d.type === "codes" || d.type === "list" ? url.searchParams.getAll(k) : url.searchParams.get(k));
     }
-    if (seen > 0) dps = sum;
   }
+  // クエリ・本文・追加検証（validate）の誤りはまとめて返す
+  const errors = [];
+  const collect = (fn) => {
+    try { return fn(); } catch (e) { if (!e.errors) throw e; errors.push(...e.errors); return null; }
+  };
+  const query = collect(() => parseParams(route.query, src));
+  const parsedBody = route.body ? collect(() => parseParams(route.body, body)) : body;
+  if (route.validate) collect(() => route.validate(url.searchParams));
+  if (errors.length) throw paramError(errors);
+  return { query, body: parsedBody };
+}
 
-  // ROE/ROA … 近似：TTM純利益 / ((期末 + 1期前末)/2)
-  // TTM親会社株主利益
-  let ni_ttm = null;
-  let sumNI = 0, cnt = 0;
-  for (let i = 0; i < Math.min(4, items.length); i++) {
-    const ni = numFrom(items[i], {
-      aliases: [
-        "ProfitLossAttributableToOwnersOfParent",
-        "NetIncome", "NetIncomeAttributableToOwnersOfParent"
-      ],
-      regexKeys: [/profit.*owners.*parent/i, /net.*income/i]
-    });
-    if (ni != null) { sumNI += ni; cnt++; }
+// -------------------- OpenAPI（ROUTES から生成）
+function paramSchema(d) {
+  const s = {};
+  if (d.type === "date") Object.assign(s, { type: "string", format: "date" });
+  else if (d.type === "code") Object.assign(s, { type: "string", pattern: CODE_RE.source });
+  else if (d.type === "codes") Object.assign(s, { type: "array", items: { type: "string", pattern: CODE_RE.source } });
+  else if (d.type === "list") Object.assign(s, { type: "array", items: { type: "string" } });
+  else if (d.type === "array") Object.assign(s, { type: "array", items: { type: "object" } });
+  else if (d.type !== "any") s.type = d.type;
+  if (d.enum) s.enum = d.enum;
+  if (d.min != null) s.minimum = d.min;
+  if (d.max != null) s.maximum = d.max;
+  if (d.default != null) s.default = d.default;
+  if (d.description) s.description = d.clamp ? `${d.description} (out-of-range values are clamped)` : d.description;
+  return s;
+}
+function objectSchema(defs) {
+  const required = Object.entries(defs).filter(([, d]) => d.required).map(([k]) => k);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(defs).map(([k, d]) => [k, paramSchema(d)])),
+    ...(required.length ? { required } : {})
+  };
+}
+function openApiDocument(req) {
+  const h = req.headers || {};
+  const host = h["x-forwarded-host"] || h.host;
+  // スタンドアロン（TLS なし）で直接受けた時は http
+  const proto = String(h["x-forwarded-proto"] || (req.socket && !req.socket.encrypted ? "http" : "https")).split(",")[0];
+  const errorResponse = { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+  const paths = {};
+  for (const r of ROUTES) {
+    const parameters = [
+      ...(r.path.includes("{id}") ? [{ name: "id", in: "path", required: true, schema: { type: "string", format: "uuid" } }] : []),
+      ...Object.entries(r.query || {}).map(([name, d]) => {
+        const { description, ...schema } = paramSchema(d);
+        return {
+          name, in: "query", required: !!d.required, ...(description ? { description } : {}), schema,
+          ...(d.type === "codes" || d.type === "list" ? { style: "form", explode: false } : {})
+        };
+      })
+    ];
+    const op = {
+      operationId: r.op, summary: r.summary, ...(r.description ? { description: r.description } : {}),
+      ...(r.auth === false ? { security: [] } : {}),
+      ...(parameters.length ? { parameters } : {}),
+      responses: {
+        200: { description: "OK", content: { [r.produces || "application/json"]: { schema: r.produces ? { type: "string" } : { type: "object" } } } },
+        default: errorResponse
+      }
+    };
+    const bodyDefs = r.body || (r.queryInBody ? r.query : null);
+    if (bodyDefs) op.requestBody = { required: !!r.bodyRequired, content: { "application/json": { schema: objectSchema(bodyDefs) } } };
+    (paths[r.path] ||= {})[r.method.toLowerCase()] = op;
   }
-  if (cnt > 0) ni_ttm = sumNI;
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "J-Quants JP Proxy", version: VERSION,
+      description: "Screening proxy for the J-Quants API. Errors use the Error schema; invalid parameters return 400 with per-field errors."
+    },
+    ...(host ? { servers: [{ url: `${proto}://${host}` }] } : {}),
+    security: [{ bearer: [] }],
+    components: {
+      securitySchemes: { bearer: { type: "http", scheme: "bearer" } },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["error", "type"],
+          properties: {
+            error: { type: "string" },
+            type: { type: "string", enum: Object.keys(ERROR_STATUS) },
+            upstream_status: { type: "integer", nullable: true },
+            request_id: { type: "string" },
+            errors: {
+              type: "array", description: "Per-field validation errors",
+              items: { type: "object", properties: { field: { type: "string" }, message: { type: "string" } } }
+            },
+            status: { type: "integer", description: "HTTP status of the error when safe_return=1 turned it into 200" }
+          }
+        }
+      }
+    },
+    paths
+  };
+}
 
-  const eq_end = numFrom(latest, {
-    aliases: ["Equity", "NetAssets", "TotalEquity", "EquityAttributableToOwnersOfParent"],
-    regexKeys: [/^equity$/i, /net.?assets/i, /total.?equity/i, /equity.?attributable.*parent/i]
-  });
-  const eq_begin = numFrom(prev, {
-    aliases: ["Equity", "NetAssets", "TotalEquity", "EquityAttributableToOwnersOfParent"],
-    regexKeys: [/^equity$/i, /net.?assets/i, /total.?equity/i, /equity.?attributable.*parent/i]
+// -------------------- ルーター
+export default async function handler(req, res) {
+  const h = req.headers || {};
+  const cc = String(h["cache-control"] || h["Cache-Control"] || "").toLowerCase();
+  // 呼び出し元が X-Request-Id を付けていればそれを引き継ぐ（ログの突き合わせ用）
+  const rid = String(h["x-request-id"] || h["X-Request-Id"] || "");
+  const ctx = {
+    requestId: /^[\w.:-]{1,128}$/.test(rid) ? rid : randomUUID(),
+    startedAt: now(),
+    status: null,
+    route: null,
+    cache: { hits: 0, misses: 0 },
+    upstream: { calls: 0, ms: 0, by: {} },
+    // ?no_cache=1 または Cache-Control: no-cache でキャッシュ読み出しをスキップ（書き込みはする）
+    noCache: /[?&]no_cache=1(&|$)/.test(req.url || "") || cc.includes("no-cache")
+  };
+  return REQ_CTX.run(ctx, async () => {
+    try { return await route(req, res); } finally { finishRequest(req, ctx); }
   });
-
-  const ta_end = numFrom(latest, { aliases: ["TotalAssets"], regexKeys: [/total.*assets/i] });
-  const ta_begin = numFrom(prev,   { aliases: ["TotalAssets"], regexKeys: [/total.*assets/i] });
-
-  const eq_avg = (eq_end != null && eq_begin != null) ? (eq_end + eq_begin) / 2 : null;
-  const ta_avg = (ta_end != null && ta_begin != null) ? (ta_end + ta_begin) / 2 : null;
-
-  let roe = null, roa = null;
-  if (ni_ttm != null && eq_avg && eq_avg !== 0) roe = ni_ttm / eq_avg;
-  if (ni_ttm != null && ta_avg && ta_avg !== 0) roa = ni_ttm / ta_avg;
-
-  return { eps_ttm, bps, dps, roe, roa };
 }
 
-async function fetchFinsStatementsByCode(code, idTokenOverride) {
-  const j = await jqGET(`/fins/statements?code=${encodeURIComponent(code)}`, idTokenOverride);
-  return j.statements || [];
+// リクエスト1件分のログとメトリクス（上流呼び出しはエンドポイント別の回数・所要時間）
+function finishRequest(req, ctx) {
+  const ms = now() - ctx.startedAt;
+  const status = ctx.status ?? 200;
+  const method = String(req.method || "GET").toUpperCase();
+  // 未認証・未定義パスはパスをそのままラベルにしない（任意の文字列で系列が増えるため）
+  const route = status === 401 ? "unauthenticated" : ctx.route ?? "unmatched";
+  metricInc("jqproxy_http_requests_total", { route, method, status: String(status) });
+  metricObserve("jqproxy_http_request_duration_seconds", { route }, ms / 1000);
+  let params;
+  try { params = Object.fromEntries(new URL(req.url, "http://localhost").searchParams); } catch { params = {}; }
+  const up = ctx.upstream;
+  logEvent(status >= 500 ? "error" : "info", "request", {
+    method, route, path: String(req.url || "").split("?")[0], params, status, duration_ms: ms,
+    client: ctx.client ?? null, cache: ctx.cache,
+    upstream_calls: up.calls, upstream_ms: up.ms, upstream: up.by
+  });
 }
 
-// -------------------- ルーター
-export default async function handler(req, res) {
+async function route(req, res) {
+  let def = null;
   try {
     const url = new URL(req.url, "http://localhost");
     const path = url.pathname.replace(/\/+$/, "");
     const method = req.method.toUpperCase();
+    const ctx = REQ_CTX.getStore();
     // /api/health は idToken 不要。先に health を返してから読む
     let idTokenOverride = null;
 
     // CORS
     if (method === "OPTIONS") {
       res.setHeader("Access-Control-Allow-Origin", "*");
-      res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-ID-TOKEN");
+      res.setHeader("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-ID-TOKEN, X-Request-Id");
+      ctx.status = 204;
       return res.status(204).end();
     }
     res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Expose-Headers", "X-Cache, X-Request-Id, Retry-After");
+    res.setHeader("X-Request-Id", ctx.requestId);
+
+    // ルート定義（ROUTES）で照合。メトリクスのルート名は定義のパス
+    const found = matchRoute(method, path);
+    if (!found) return json(res, 404, { error: `No route for ${method} ${path}` });
+    if (!found.route) {
+      res.setHeader("Allow", found.allow.join(", "));
+      return json(res, 405, { error: `Method ${method} not allowed for ${path}` });
+    }
+    def = found.route;
+    ctx.route = def.path;
+    const op = def.op;
 
     // /api/health (no auth)
-    if (path === "/api/health" && method === "GET") {
+    if (op === "health") {
+      const { warnings, ...tokens } = await tokenHealth();
       return json(res, 200, {
         ok: true,
         ts: new Date().toISOString(),
         idToken_valid_ms: msUntilExp(),
+        tokens,
+        warnings,
+        cache: cacheStats(),
+        upstream: upstreamStats(),
         version: VERSION
       });
     }
+    // /api/openapi.json（ROUTES から生成。コネクタの取り込み用なので認証なし）
+    if (op === "openapi") return json(res, 200, openApiDocument(req));
+
     idTokenOverride = readIdTokenOverride(req);
 
-    // それ以外はプロキシ用Bearer必須
-    if (!requireProxyAuth(req, res)) return;
+    // それ以外はプロキシ用Bearer必須（API キーはスコープ・クォータも見る）
+    if (!await requireProxyAuth(req, res, method, path)) return;
+
+    // safe_return=1：エラーも 200 で errorShape の形に載せる（認証エラーは対象外）
+    if (def.errorShape && BOOL_TRUE.has(String(url.searchParams.get("safe_return") || "").toLowerCase())) ctx.safeReturn = true;
+    // クエリ・本文の検証（不正は項目別の errors 付き 400）。q：クエリ（queryInBody なら本文とマージ）、b：本文
+    const { query: q, body: b } = parseRequest(def, req, url);
+
+    // /api/admin/usage（API キーごとの定義と利用状況。admin スコープ or PROXY_BEARER）
+    if (op === "adminUsage") {
+      const reg = await apiKeys();
+      return json(res, 200, {
+        file: reg.file, loaded_at: reg.loadedAt ? new Date(reg.loadedAt).toISOString() : null, error: reg.error,
+        keys: [...(process.env.PROXY_BEARER ? [LEGACY_CLIENT] : []), ...reg.list].map(keyView)
+      });
+    }
+
+    // /api/metrics（Prometheus テキスト形式）
+    if (op === "metrics") {
+      const up = upstreamStats();
+      const text = renderMetrics([
+        ["jqproxy_upstream_queue_depth", "gauge", "J-Quants calls waiting for a slot", up.queued],
+        ["jqproxy_upstream_active", "gauge", "J-Quants calls in flight", up.active],
+        ["jqproxy_upstream_effective_rate_per_min", "gauge", "Current J-Quants rate limit after 429 backoff", up.effective_rate_per_min],
+        ["jqproxy_upstream_circuit_open", "gauge", "1 while the upstream circuit breaker is open", up.breaker.state === "open" ? 1 : 0],
+        ["jqproxy_cache_hits_total", "counter", "Upstream response cache hits", CACHE_STATS.hits],
+        ["jqproxy_cache_misses_total", "counter", "Upstream response cache misses", CACHE_STATS.misses],
+        ["jqproxy_cache_entries", "gauge", "Upstream response cache entries", RESP_CACHE.size],
+        ["jqproxy_id_token_valid_seconds", "gauge", "Seconds until the cached idToken expires", Math.floor(msUntilExp() / 1000)],
+      ]);
+      ctx.status = 200;
+      res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+      return res.status(200).send(text);
+    }
 
-    // /api/auth/refresh
-    if (path === "/api/auth/refresh" && method === "POST") {
-      const body = typeof req.body === "object" ? req.body : {};
-      const override = body?.refreshToken || body?.refreshtoken;
+    // /api/auth/refresh（生の idToken を返すので、API キーは "auth/refresh" スコープを明示したものだけ）
+    if (op === "authRefresh") {
+      const override = b.refreshToken || b.refreshtoken;
       const out = await refreshIdToken(override);
       return json(res, 200, out);
     }
 
+    // /api/snapshots（保存済み営業日の一覧）
+    if (op === "snapshots") {
+      const store = snapshotStore();
+      if (!store) return json(res, 200, { adapter: null, count: 0, dates: [] });
+      const dates = await store.list();
+      return json(res, 200, { adapter: store.name, count: dates.length, latest: dates[dates.length - 1] || null, dates });
+    }
+
+    // /api/snapshots/backfill（直近N営業日を取得・保存。refresh=1 で保存済みも取り直し）
+    if (op === "snapshotsBackfill") {
+      const out = await backfillSnapshots(q.days, idTokenOverride, { refresh: q.refresh, budgetMs: q.budget_ms });
+      return json(res, 200, out);
+    }
+
     // /api/prices/daily
-    if (path === "/api/prices/daily" && method === "GET") {
-      const code = url.searchParams.get("code");
-      const from = url.searchParams.get("from");
-      const to = url.searchParams.get("to");
-      if (!code) return json(res, 400, { error: "code is required" });
-
-      const q = new URLSearchParams({ code });
-      if (from) q.set("from", from);
-      if (to) q.set("to", to);
-      const j = await jqGET(`/prices/daily_quotes?${q.toString()}`, idTokenOverride);
+    if (op === "pricesDaily") {
+      const jq = new URLSearchParams({ code: q.code });
+      if (q.from) jq.set("from", q.from);
+      if (q.to) jq.set("to", q.to);
+      if (q.pagination_key) jq.set("pagination_key", q.pagination_key);
+      const j = await jqGET(`/prices/daily_quotes?${jq.toString()}`, idTokenOverride);
       return json(res, 200, j); // JQの形式のまま返す
     }
 
+    // /api/prices/history（正規化 OHLCV。adjusted=0 で未調整値）
+    if (op === "pricesHistory") {
+      const { code, adjusted } = q;
+      const items = await fetchPriceHistory(code, q.from, q.to, idTokenOverride, { adjusted });
+      return json(res, 200, { code: codeStr(code), adjusted, count: items.length, items });
+    }
+
+    // /api/indices/history?code=topix|<指数コード>&from=&to=（正規化 OHLC。上流ページングは全件たどる）
+    if (op === "indicesHistory") {
+      const { code } = q;
+      const meta = {};
+      const items = await fetchIndexHistory(code, q.from, q.to, idTokenOverride, { meta });
+      return json(res, 200, { code, count: items.length, items, ...(meta.truncated ? { truncated: true } : {}) });
+    }
+
+    // /api/prices/indicators?code=&ind=sma:25,rsi:14,macd,bb:20,atr:14（series=1 で直近 points 本の系列も返す）
+    if (op === "pricesIndicators") {
+      const { code, series: withSeries, points } = q;
+      let specs;
+      try { specs = parseIndicatorSpec(q.ind); }
+      catch (e) { return sendError(res, paramError([{ field: "ind", message: e.message }])); }
+
+      const to = q.to || jstDateStr();
+      const lookback = indicatorLookback(specs) + (withSeries ? points : 0);
+      const from = new Date(Date.parse(to) - Math.ceil(lookback * 1.5 + 10) * DAY).toISOString().slice(0, 10);
+      const rows = await fetchPriceHistory(code, from, to, idTokenOverride);
+      const series = computeIndicatorSeries(rows, specs);
+      const last = rows[rows.length - 1] || null;
+
+      const out = {
+        code: codeStr(code),
+        date: last?.date ?? null,
+        close: last?.close ?? null,
+        ind: specs.map(s => [s.name, ...s.args].join(":")).join(","),
+        indicators: latestIndicators(series)
+      };
+      if (withSeries) {
+        const start = Math.max(0, rows.length - points);
+        out.series = rows.slice(start).map((r, k) => {
+          const o = { ...r };
+          for (const [name, arr] of Object.entries(series)) o[name] = arr[start + k];
+          return o;
+        });
+      }
+      return json(res, 200, out);
+    }
+
+    // /api/fins/index（財務インデックスの状況。未保存日の取り込みはしない）
+    if (op === "finsIndex") {
+      const { statementsFor, remaining, fetched, failed, ...st } = await ensureFinsIndex(null, idTokenOverride, { live: false, recheck: true, lazy: false });
+      return json(res, 200, { ...st, latest_missing: remaining?.[remaining.length - 1] ?? null });
+    }
+
+    // /api/fins/index/backfill（未保存の開示日を新しい日から取得・保存。remaining が空になるまで繰り返し呼ぶ）
+    if (op === "finsIndexBackfill") {
+      if (!finsStore()) throw new Error("fins store is disabled (SNAPSHOT_STORE=off)");
+      const { statementsFor, ...out } = await ensureFinsIndex(null, idTokenOverride, { catchup: Infinity, budgetMs: q.budget_ms, live: false });
+      return json(res, 200, out);
+    }
+
     // /api/fins/statements
-    if (path === "/api/fins/statements" && method === "GET") {
-      const code = url.searchParams.get("code");
-      if (!code) return json(res, 400, { error: "code is required" });
+    if (op === "finsStatements") {
+      const { code, as_of: asOf } = q;
 
-      const stmts = await fetchFinsStatementsByCode(code, idTokenOverride);
+      // as_of 指定時：その日以前の直近営業日の終値と、その時点で開示済みの財務で評価
+      const latestDate = await getLatestTradingDate(idTokenOverride, asOf);
+      const stmts = statementsAsOf(await fetchFinsStatementsByCode(code, idTokenOverride), asOf ? latestDate : null);
       const sum = summarizeFins(stmts);
+      const periods = dedupeStatements(stmts);
 
-      const latestDate = await getLatestTradingDate(idTokenOverride);
       const dq = await fetchDailyQuotesByDate(latestDate, idTokenOverride);
       const me = dq.find(r => codeStr(r.code) === codeStr(code));
       const close = me?.close ?? null;
 
-      let marketCap = null, per = null, pbr = null, dividend_yield = null;
-      if (Number.isFinite(close)) {
-        if (sum.eps_ttm != null && sum.eps_ttm !== 0) per = close / sum.eps_ttm;
-        if (sum.bps != null && sum.bps !== 0) pbr = close / sum.bps;
-        if (sum.dps != null && close !== 0) dividend_yield = sum.dps / close;
-      }
+      const v = valuationMetrics(close, sum);
 
       return json(res, 200, {
+        ...(asOf ? { as_of: asOf } : {}),
+        price_date: latestDate ?? null,
         summary: {
           code: codeStr(code),
           close,
-          marketCap,
+          marketCap: v.market_cap,
           eps_ttm: sum.eps_ttm,
           bps: sum.bps,
           dps: sum.dps,
-          per,
-          pbr,
-          dividend_yield,
+          per: v.per,
+          pbr: v.pbr,
+          dividend_yield: v.dividend_yield,
           roe: sum.roe,
           roa: sum.roa,
+          ni_ttm: sum.ni_ttm,
+          sales_ttm: sum.sales_ttm,
+          operating_profit_ttm: sum.operating_profit_ttm,
+          shares_outstanding: sum.shares_outstanding,
+          cash: sum.cash,
+          debt: sum.debt,
+          ev: v.ev,
+          ev_basis: v.ev_basis,
+          ev_sales: v.ev_sales,
+          ev_ebit: v.ev_ebit,
+          earnings_yield: v.earnings_yield,
+        },
+        source: sum.source,
+        ttm: sum.ttm,
+        // 単独四半期（累計差分）。新しい順に直近8四半期
+        quarters: {
+          eps: discreteQuarters(periods, EPS_FIELD).slice(0, 8),
+          ni: discreteQuarters(periods, NI_FIELD).slice(0, 8)
         },
         raw_count: stmts.length
       });
     }
 
+    // /api/fins/dividends?code=（配当の履歴・予想と配当指標。as_of でその時点の開示まで）
+    if (op === "finsDividends") {
+      const { code, as_of: asOf } = q;
+
+      const priceDate = await getLatestTradingDate(idTokenOverride, asOf);
+      const [raw, stmts, dq] = await Promise.all([
+        fetchDividends(code, idTokenOverride),
+        fetchFinsStatementsByCode(code, idTokenOverride),
+        fetchDailyQuotesByDate(priceDate, idTokenOverride)
+      ]);
+      const divs = latestDividends(raw, asOf ? priceDate : null);
+      const close = dq.find(r => codeStr(r.code) === codeStr(code))?.close ?? null;
+      const { eps_ttm } = summarizeFins(statementsAsOf(stmts, asOf ? priceDate : null));
+
+      return json(res, 200, {
+        code: codeStr(code),
+        ...(asOf ? { as_of: asOf } : {}),
+        price_date: priceDate ?? null,
+        close, eps_ttm,
+        metrics: dividendMetrics(divs, { baseDate: priceDate || jstDateStr(), eps_ttm, close }),
+        annual: annualDividends(divs).reverse(),
+        // 基準日の新しい順
+        items: divs.sort((a, b) => (b.record_date || b.term).localeCompare(a.record_date || a.term))
+      });
+    }
+
+    // /api/fins/announcements（決算発表予定。code / from / to で絞り込み）
+    if (op === "finsAnnouncements") {
+      const { code, from, to } = q;
+      const items = (await fetchAnnouncements(idTokenOverride)).filter(a =>
+        (!code || a.code === codeStr(code)) && (!from || a.date >= from) && (!to || a.date <= to));
+      return json(res, 200, { count: items.length, items });
+    }
+
     // /api/credit/weekly
-    if (path === "/api/credit/weekly" && method === "GET") {
-      const code = url.searchParams.get("code");
-      const weeks = Math.max(4, toInt(url.searchParams.get("weeks")) || 26);
-      if (!code) return json(res, 400, { error: "code is required" });
+    if (op === "creditWeekly") {
+      // window：変化の z を取る週数 / trend_weeks：トレンドの週数 / volume_days：日数換算の平均出来高（営業日）
+      const { code, weeks, window, trend_weeks: trendWeeks, volume_days: volumeDays } = q;
 
-      const j = await jqGET(`/markets/weekly_margin_interest?code=${encodeURIComponent(code)}`, idTokenOverride);
-      let items = (j.weekly_margin_interest || []).map(mapWeeklyMargin);
-      items.sort((a, b) => a.date.localeCompare(b.date));
+      let items = await fetchWeeklyMargin(code, idTokenOverride);
+      // 平均出来高は最新週の基準日までの volume_days 営業日
+      const lastDate = items.length ? items[items.length - 1].date : jstDateStr();
+      const bars = await fetchPriceHistory(code, flowFrom(lastDate, volumeDays, 1.5), lastDate, idTokenOverride, { adjusted: false });
+      const vols = bars.slice(-volumeDays).map(b => b.volume).filter(v => v != null);
+      const avgVolume = vols.length ? vols.reduce((a, b) => a + b, 0) / vols.length : null;
+      const analytics = marginAnalytics(items, { avgVolume, window, trendWeeks });
       if (items.length > weeks) items = items.slice(items.length - weeks);
 
       const latest = items[items.length - 1] || {};
       const prev = items[items.length - 2] || {};
       const metrics = {
         code: codeStr(code),
-        latest: latest.date ? latest : { date: null, buying: null, selling: null, net: null, ratio: null },
+        latest: latest.date ? latest : { date: null, buying: null, selling: null, net: null, ratio: null, credit_ratio: null },
         wow_change: {
           buying: (latest.buying != null && prev.buying != null) ? latest.buying - prev.buying : null,
           selling: (latest.selling != null && prev.selling != null) ? latest.selling - prev.selling : null,
           net: (latest.net != null && prev.net != null) ? latest.net - prev.net : null,
-        }
+        },
+        credit_ratio: analytics.credit_ratio,
+        avg_volume: avgVolume,
+        margin_days: analytics.margin_days,
+        short_days: analytics.short_days,
+        buying_chg_z: analytics.buying_chg_z,
+        selling_chg_z: analytics.selling_chg_z,
+        trend: analytics.trend
       };
       return json(res, 200, { code: codeStr(code), count: items.length, metrics, items });
     }
 
     // /api/credit/daily_public
-    if (path === "/api/credit/daily_public" && method === "GET") {
-      const code = url.searchParams.get("code");
-      const days = Math.max(7, toInt(url.searchParams.get("days")) || 60);
-      if (!code) return json(res, 400, { error: "code is required" });
+    if (op === "creditDailyPublic") {
+      const { code, days } = q;
 
       // ※対象銘柄でなければ空で返るのが正常。日付幅は広めに。
       const today = new Date();
       const to = today.toISOString().slice(0, 10);
       const from = new Date(today.getTime() - (days + 20) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
 
-      const q = new URLSearchParams({ code, from, to });
-      const j = await jqGET(`/markets/daily_margin_interest?${q.toString()}`, idTokenOverride);
+      const jq = new URLSearchParams({ code, from, to });
+      const j = await jqGET(`/markets/daily_margin_interest?${jq.toString()}`, idTokenOverride);
       let items = (j.daily_margin_interest || []).map(mapDailyPublic);
       items.sort((a, b) => a.date.localeCompare(b.date));
       if (items.length > days) items = items.slice(items.length - days);
       return json(res, 200, { code: codeStr(code), count: items.length, items });
     }
 
+    // /api/short/sectors（業種別空売り比率。window=20 営業日の前回比・window 前比・z。sector33 指定時は系列も返す）
+    if (op === "shortSectors") {
+      const { window } = q;
+      const to = q.to || jstDateStr();
+      const from = q.from || flowFrom(to, window * 2, 1.5);
+      const only = setOrNull(q.sector33);
+
+      const listedMap = await getListedMap(idTokenOverride);
+      const names = new Map();
+      for (const m of listedMap.values()) if (m.sector33Code && m.sector33Code !== "9999") names.set(m.sector33Code, m.sector33Name);
+      const codes = only ? [...only] : [...names.keys()].sort();
+
+      const rows = await fetchShortSelling(codes, from, to, idTokenOverride);
+      const bySector = new Map();
+      for (const r of rows) {
+        if (!bySector.has(r.sector33)) bySector.set(r.sector33, []);
+        bySector.get(r.sector33).push(r);
+      }
+      const items = [];
+      for (const [sector33, series] of bySector.entries()) {
+        addRolling(series, "short_ratio", window);
+        const latest = series[series.length - 1];
+        items.push({ sector33, sector33_name: names.get(sector33) || null, ...latest, ...(only ? { series } : {}) });
+      }
+      items.sort((a, b) => (b.short_ratio_z ?? -Infinity) - (a.short_ratio_z ?? -Infinity));
+      return json(res, 200, { from, to, window, count: items.length, items });
+    }
+
+    // /api/short/positions?code=（大量空売り報告。報告者ごとの最新残高と、残高合計の推移に rolling）
+    if (op === "shortPositions") {
+      const { code, window } = q;
+      const jq = new URLSearchParams({ code });
+      if (q.from) jq.set("disclosed_date_from", q.from);
+      if (q.to) jq.set("disclosed_date_to", q.to);
+
+      const arr = await jqGETAll(`/markets/short_selling_positions?${jq.toString()}`, idTokenOverride, { key: "short_selling_positions" });
+      const items = arr.map(mapShortPosition).sort((a, b) => b.calculated_date.localeCompare(a.calculated_date));
+      const holders = new Map();
+      for (const p of items) {
+        const k = p.short_seller + "|" + (p.fund || "");
+        if (!holders.has(k)) holders.set(k, p);
+      }
+      const series = addRolling(shortPositionSeries(items), "total_ratio", window);
+      return json(res, 200, {
+        code: codeStr(code), window,
+        latest: series[series.length - 1] || null,
+        holders: [...holders.values()].filter(p => (p.ratio ?? 0) >= 0.005).sort((a, b) => b.ratio - a.ratio),
+        series,
+        count: items.length, items
+      });
+    }
+
+    // /api/flows/investors（投資部門別売買状況・週次。section=TSEPrime 等。各部門の差引に rolling（window=12 週））
+    if (op === "flowsInvestors") {
+      const { window, section } = q;
+      const to = q.to || jstDateStr();
+      const from = q.from || flowFrom(to, window * 2, 7);
+
+      const jq = new URLSearchParams({ section, from, to });
+      const arr = await jqGETAll(`/markets/trades_spec?${jq.toString()}`, idTokenOverride, { key: "trades_spec" });
+      const items = arr.map(mapTradesSpec).filter(r => !r.section || r.section === section)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.start_date.localeCompare(b.start_date));
+      const types = [...new Set(items.flatMap(r => Object.keys(r.investors)))];
+      for (const t of types) addRolling(items, "balance", window, r => r.investors[t]?.balance ?? null, r => r.investors[t] || {});
+      return json(res, 200, {
+        section, from, to, window,
+        latest: items[items.length - 1] || null,
+        count: items.length, items
+      });
+    }
+
     // /api/universe: コードをページングで返す（軽量）
-    if (path === "/api/universe" && method === "GET") {
-      try {
-        const market = url.searchParams.get("market") || "All";
-        const liquidity_min = toInt(url.searchParams.get("liquidity_min")) ?? 100_000_000;
-        const offset = Math.max(0, toInt(url.searchParams.get("offset")) ?? 0);
-        const limit = Math.min(200, Math.max(1, toInt(url.searchParams.get("limit")) ?? 150));
-
-        // 既定は軽量：直近1日
-        const { avgTV } = await buildLiquidityAndClose(5, idTokenOverride, "latest");
-        const listedMap = await getListedMap(idTokenOverride);
-
-        // 市場＆流動性で母集団化 → TV降順
-        const rows = [];
-        for (const [code, tv] of avgTV.entries()) {
-          if (!Number.isFinite(tv) || tv < liquidity_min) continue;
-          const meta = listedMap.get(code) || { marketJa: "" };
-          if (!marketMatch(market, meta.marketJa || "")) continue;
-          rows.push([code, tv]);
-        }
-        rows.sort((a, b) => b[1] - a[1]);
-
-        const page = rows.slice(offset, offset + limit).map(r => r[0]);
-        return json(res, 200, {
-          total: rows.length,
-          offset,
-          limit,
-          codes: page
+    // 失敗時も { total, offset, limit, codes } の形で返す（errorShape）
+    if (op === "universe") {
+      const { market, liquidity_min, offset, limit, days, liquidity_mode: liqMode, with_meta: withMeta } = q;
+      const sector17 = setOrNull(q.sector17);
+      const sector33 = setOrNull(q.sector33);
+
+      // 既定は N 営業日平均（スナップショットから）
+      const { avgTV } = await buildLiquidityAndClose(days, idTokenOverride, liqMode);
+      const listedMap = await getListedMap(idTokenOverride);
+
+      // 市場＆流動性で母集団化 → TV降順
+      const rows = [];
+      for (const [code, tv] of avgTV.entries()) {
+        if (!Number.isFinite(tv) || tv < liquidity_min) continue;
+        const meta = listedMap.get(code) || { marketJa: "" };
+        if (!marketMatch(market, meta.marketJa || "")) continue;
+        if (!sectorMatch(meta, sector17, sector33)) continue;
+        rows.push([code, tv]);
+      }
+      rows.sort((a, b) => b[1] - a[1]);
+
+      const pageRows = rows.slice(offset, offset + limit);
+      const out = {
+        total: rows.length,
+        offset,
+        limit,
+        codes: pageRows.map(r => r[0])
+      };
+      // with_meta=1: 銘柄名・市場・業種も返す
+      if (withMeta) {
+        out.items = pageRows.map(([code, tv]) => {
+          const meta = listedMap.get(code) || {};
+          return { code, name: meta.name || "", market: meta.marketJa || "", ...sectorFields(meta), avg_trading_value: Math.round(tv) };
         });
-      } catch (e) {
-        return json(res, 200, { total: 0, offset: 0, limit: 0, codes: [], error: String(e && e.message || e) });
       }
+      return json(res, 200, out);
     }
 
     // /api/screen/liquidity（fast=1 で軽量取得）
-    if (path === "/api/screen/liquidity" && method === "GET") {
-      const maxPages = toInt(url.searchParams.get("max_pages")) ?? undefined;
-      const sleepMs  = toInt(url.searchParams.get("sleep_ms"))  ?? undefined;
-      const jqAllOpt = { maxPages, sleepMs };
-      const market = url.searchParams.get("market") || "All";
-      const minAvg = toInt(url.searchParams.get("min_avg_trading_value")) ?? 100_000_000;
-      const days = toInt(url.searchParams.get("days"));
-      const fast = toInt(url.searchParams.get("fast")) === 1;
-      const liqMode = (url.searchParams.get("liquidity_mode") || (fast ? "latest" : "latest")).toLowerCase(); // 既定=latest
+    if (op === "screenLiquidity") {
+      const { market, min_avg_trading_value: minAvg, days, fast, liquidity_mode: liqMode } = q;
       const daysEff = (days != null ? days : (fast ? 5 : 20));
+      const sector17 = setOrNull(q.sector17);
+      const sector33 = setOrNull(q.sector33);
 
       const [listedMap, liq] = await Promise.all([
         getListedMap(idTokenOverride),
@@ -705,239 +4584,475 @@ export default async function handler(req, res) {
       for (const [code, avg_trading_value] of liq.avgTV.entries()) {
         const meta = listedMap.get(code) || { name: "", marketJa: "" };
         if (!marketMatch(market, meta.marketJa)) continue;
+        if (!sectorMatch(meta, sector17, sector33)) continue;
         if (!Number.isFinite(avg_trading_value) || avg_trading_value < minAvg) continue;
-        out.push({ code, name: meta.name, market: meta.marketJa, avg_trading_value: Math.round(avg_trading_value) });
+        out.push({
+          code, name: meta.name, market: meta.marketJa, ...sectorFields(meta),
+          avg_trading_value: Math.round(avg_trading_value)
+        });
       }
       out.sort((a, b) => b.avg_trading_value - a.avg_trading_value);
       return json(res, 200, { count: out.length, items: out });
     }
 
     // /api/screen/basic（軽量・段階フィルタ・時間予算・デバッグ）
-    // ここ全体を置き換え
-    if (path === "/api/screen/basic" && method === "GET") {
-      // 常に {count, items} を 200 で返す（コネクタが {} に潰さないように）
-      const safeReturn = (payload) => json(res, 200, Object.assign({ count: 0, items: [] }, payload));
-
-      // パラメータ取るユーティリティ
-      const numOrNull = (v) => (v == null ? null : (Number.isFinite(Number(v)) ? Number(v) : null));
-      const intOrNull = (v) => (v == null ? null : (Number.isFinite(parseInt(v, 10)) ? parseInt(v, 10) : null));
+    // 失敗は「0件」と区別できるようにステータスで返す（形は {count, items} のまま。safe_return=1 なら 200）
+    if (op === "screenBasic") {
+      let p;
+      try { p = parseBasicScreen(url.searchParams); } catch (e) { throw badRequest(e); }
 
-      try {
-        const market = url.searchParams.get("market") || "All";
-        const limit = Math.min(Math.max(intOrNull(url.searchParams.get("limit")) || 30, 1), 200);
-        const liquidity_min = intOrNull(url.searchParams.get("liquidity_min")) ?? 100_000_000;
-
-        const per_lt = numOrNull(url.searchParams.get("per_lt"));
-        const pbr_lt = numOrNull(url.searchParams.get("pbr_lt"));
-        let div_yield_gt = numOrNull(url.searchParams.get("div_yield_gt"));
-        // 2.5 → 0.025 のフォールバック（%指定対策）
-        if (div_yield_gt != null && div_yield_gt > 1 && div_yield_gt <= 100) div_yield_gt = div_yield_gt / 100;
-
-        const mom3m_gt = numOrNull(url.searchParams.get("mom3m_gt"));
-
-        // 既定＝軽量
-        const fastParam = (url.searchParams.get("fast") || "1").toLowerCase();
-        const fast = (fastParam === "1" || fastParam === "true");
-
-        // モメンタムは“条件がある時だけ”
-        const needMomentum = (mom3m_gt != null);
-
-        // 既定＝直近1日で流動性近似
-        const liqMode = (url.searchParams.get("liquidity_mode") || "latest").toLowerCase();
-
-        // デバッグ / 時間予算 / 走査上限
-        const debug = (url.searchParams.get("debug") || "") === "1";
-        const t0 = Date.now();
-        const DBG = { phase: "start" };
-        const budgetMs = intOrNull(url.searchParams.get("budget_ms")) ?? 25000;
-        const deadline = t0 + Math.max(5000, budgetMs);
-        const timeLeft = () => deadline - Date.now();
-
-        // 財務API叩く銘柄数の上限（大きすぎると時間切れ）
-        const MAX_SCAN = intOrNull(url.searchParams.get("max_scan")) ?? 500;
-
-        // 対象銘柄の事前絞り込み（任意）
-        const uniParam = url.searchParams.get("universe");
-        const uniMulti = url.searchParams.getAll("universe");
-        let allowSet = null;
-        if (uniParam || (uniMulti && uniMulti.length > 1)) {
-          const raw = [
-            ...(uniParam ? uniParam.split(",") : []),
-            ...((uniMulti.length > 1) ? uniMulti : [])
-          ].map(s => codeStr(String(s).trim())).filter(Boolean);
-          allowSet = new Set(raw);
-          DBG.universe = raw.length;
-        }
+      const { rows, stats, price_date } = await runScreen(p.spec, idTokenOverride);
+      const items = basicItems(rows, p);
+      const payload = { count: items.length, items };
+      if (p.asOf) Object.assign(payload, { as_of: p.asOf, price_date });
+      if (p.rankOpt) payload.ranking = { ...p.rankOpt, n: rows.length };
 
-        // ===== 事前フェッチ（上場一覧 / 流動性 / モメンタム）=====
-        const [listedMap, { avgTV, latestClose }, momSnaps] = await Promise.all([
-          getListedMap(idTokenOverride).then(v => (DBG.listed = true, v)),
-          buildLiquidityAndClose(fast ? 5 : 20, idTokenOverride, liqMode).then(v => (DBG.liq = true, v)),
-          (needMomentum ? buildMomentumSnapshots(idTokenOverride) : Promise.resolve({ d0:new Map(), d3:new Map(), d6:new Map(), d12:new Map() }))
-            .then(v => (DBG.mom = needMomentum, v)),
-        ]);
-
-        // 流動性候補が 0 なら即返す
-        if (!avgTV || avgTV.size === 0) {
-          if (debug) return safeReturn({ _debug: Object.assign(DBG, { reason: "no_liquidity", ms: Date.now() - t0 }) });
-          return safeReturn({});
-        }
+      if (p.debug) {
+        payload._debug = Object.assign({ universe: p.allowSet ? p.allowSet.size : undefined }, stats,
+          { budget_ms: p.budgetMs, upstream: ctx.upstream });
+      }
+      return json(res, 200, payload);
+    }
 
-        // ===== 第1段：母集団を作る（市場＋流動性のみ） =====
-        // → これを “売買代金の大きい順” にソートしてから順に評価（上位で成立しやすい）
-        const cands = [];
-        for (const [code, tv] of avgTV.entries()) {
-          if (allowSet && !allowSet.has(code)) continue;
-          if (!Number.isFinite(tv) || tv < liquidity_min) continue;
+    // /api/screen/backtest（as_of 時点で screen/basic を再現し、1/3/6/12か月の先行リターンを評価）
+    // screen/basic と同じパラメータ＋ as_of（必須）, horizons=1,3,6,12
+    if (op === "screenBacktest") {
+      let p, horizons;
+      try { p = parseBasicScreen(url.searchParams); } catch (e) { throw badRequest(e); }
+      try { horizons = parseHorizons(q.horizons); }
+      catch (e) { return sendError(res, paramError([{ field: "horizons", message: e.message }])); }
 
-          const meta = listedMap.get(code) || { name: "", marketJa: "" };
-          const mname = meta.marketJa || ""; // 空は通す（落とし過ぎ防止）
-          if (!marketMatch(market, mname)) continue;
+      const baseDate = await getLatestTradingDate(idTokenOverride, p.asOf);
+      if (!baseDate) return json(res, 404, { error: `no trading date on or before ${p.asOf}` });
 
-          cands.push([code, tv]);
-        }
-        DBG.candidates = cands.length;
+      const { rows, stats, universe } = await runScreen(p.spec, idTokenOverride);
+      const picks = basicItems(rows, p);
+      const { summary, returns } = await runBacktest(picks, universe, baseDate, horizons, idTokenOverride);
 
-        if (cands.length === 0) {
-          if (debug) return safeReturn({ _debug: Object.assign(DBG, { reason: "filtered_by_market_or_liq", ms: Date.now() - t0 }) });
-          return safeReturn({});
-        }
+      return json(res, 200, {
+        as_of: p.asOf,
+        base_date: baseDate,
+        horizons: summary,
+        count: picks.length,
+        universe_size: universe.length,
+        items: picks.map(it => ({ ...it, forward_returns: returns.get(it.code) })),
+        ...(p.rankOpt ? { ranking: { ...p.rankOpt, n: rows.length } } : {}),
+        complete: !stats.truncated,
+        ...(p.debug ? { _debug: Object.assign({}, stats, { budget_ms: p.budgetMs }) } : {})
+      });
+    }
 
-        // 売買代金の降順に並べて“重い順に優先的に”評価
-        cands.sort((a, b) => b[1] - a[1]);
-
-        // ===== 第2段：必要ならモメンタム判定 =====
-        // mom3m_gt があるときだけ d0/d3 を使う（他は評価コスト無し）
-        const items = [];
-        let processed = 0, scanned = 0, kept = 0;
-
-        for (const [code, tv] of cands) {
-          processed++;
-          if (timeLeft() <= 0) break;
-          if (items.length >= limit) break;
-
-          // モメンタム
-          let mom_3m = null, mom_6m = null, mom_12m = null;
-          if (needMomentum) {
-            mom_3m = calcReturn(momSnaps.d0.get(code), momSnaps.d3.get(code));
-            if (mom3m_gt != null && (mom_3m == null || mom_3m < mom3m_gt)) continue;
-            // 3/6/12 は“返すときに見たい”方のために取る（条件未指定ならスコアには使わない）
-            mom_6m = calcReturn(momSnaps.d0.get(code), momSnaps.d6.get(code));
-            mom_12m = calcReturn(momSnaps.d0.get(code), momSnaps.d12.get(code));
-          }
+    // /api/screen/query（POST。JSON の条件式・並び順・出力項目で任意スクリーニング）
+    // body: { where, sort, fields, limit, market, sector17, sector33, universe, liquidity_min, liquidity_mode, days, max_scan, budget_ms,
+    //         rank: { weights: { value, mom, quality, yield, size }, neutralize, winsor }, as_of, exclude_earnings_within }
+    if (op === "screenQuery") {
+      const body = b;
+      const asOf = body.as_of;
+      let sort, fields, rankOpt = null;
+      // where / sort / fields / rank は中身まで見る（項目名の誤りなど）
+      const errors = [];
+      const check = (field, fn) => { try { fn(); } catch (e) { errors.push({ field, message: e.message }); } };
+      check("where", () => { if (body.where != null) validateExpr(body.where); });
+      check("rank", () => { if (body.rank != null) rankOpt = parseRankOptions(body.rank); });
+      check("sort", () => { sort = parseSort(body.sort); });
+      check("fields", () => {
+        fields = body.fields == null ? null : (Array.isArray(body.fields) ? body.fields : String(body.fields).split(","));
+        for (const f of fields || []) if (!fieldSource(f)) throw new Error(unknownFieldMessage(f));
+      });
+      if (errors.length) throw paramError(errors);
+      const where = body.exclude_earnings_within == null ? (body.where || null)
+        : { and: [...(body.where ? [body.where] : []), earningsBlackout(body.exclude_earnings_within)] };
+      // 既定の出力：基本項目 + 条件・並び順で参照した項目
+      if (!fields) {
+        fields = [...new Set(["code", "name", "market", "sector33_name", "avg_trading_value",
+          ...exprFields(body.where), ...sort.map(s => s.field)])];
+        // as_of 指定で財務を参照する時は出所も
+        if (asOf && fields.some(f => fieldSource(f) === "fins")) fields.push("fins_disclosed_date", "fins_document");
+      }
+      const { limit } = body;
 
-          // ===== 第3段：バリュー条件（ある場合のみ財務取得）=====
-          let per = null, pbr = null, dividend_yield = null;
-          if (per_lt != null || pbr_lt != null || div_yield_gt != null) {
-            if (timeLeft() <= 0 || scanned >= MAX_SCAN) break;
-            scanned++;
+      const { rows, stats, sources, price_date } = await runScreen({
+        market: body.market,
+        sector17: setOrNull(body.sector17), sector33: setOrNull(body.sector33),
+        allowSet: body.universe ? new Set(body.universe.map(codeStr)) : null,
+        liquidity_min: body.liquidity_min,
+        liqMode: body.liquidity_mode,
+        days: body.days,
+        where,
+        sort, fields: rankOpt ? [...fields, ...factorFields(rankOpt.weights)] : fields, loadOutputFields: true,
+        // 並び順・順位付けの指定が無ければ売買代金順のまま limit 件で打ち切れる
+        limit, stopAtLimit: sort.length === 0 && !rankOpt,
+        maxScan: body.max_scan,
+        budgetMs: body.budget_ms,
+        asOf
+      }, idTokenOverride);
 
-            try {
-              const stmts = await fetchFinsStatementsByCode(code, idTokenOverride);
-              const s = summarizeFins(stmts);
-              const close = latestClose.get(code);
-
-              if (Number.isFinite(close)) {
-                if (s.eps_ttm != null && s.eps_ttm !== 0) per = close / s.eps_ttm;
-                if (s.bps != null && s.bps !== 0) pbr = close / s.bps;
-                if (s.dps != null && close !== 0) dividend_yield = s.dps / close;
-              }
-
-              // AND ロジック（両方指定時は両方満たす）
-              if (per_lt != null && !(per != null && per < per_lt)) continue;
-              if (pbr_lt != null && !(pbr != null && pbr < pbr_lt)) continue;
-              if (div_yield_gt != null && !(dividend_yield != null && dividend_yield > div_yield_gt)) continue;
-            } catch (_) {
-              // 財務で失敗した銘柄はスキップ（全体は落とさない）
-              continue;
-            }
-          }
+      // 順位付けは絞り込み後の集合で。明示の sort があればそちらを優先
+      if (rankOpt) {
+        rankByFactors(rows, rankOpt);
+        sortRows(rows, sort);
+      }
+      const items = rows.slice(0, limit).map(r => {
+        const o = {};
+        for (const f of fields) o[f] = r[f] ?? null;
+        if (o.avg_trading_value != null) o.avg_trading_value = Math.round(o.avg_trading_value);
+        if (rankOpt) { o.composite = r.composite; o.factor_scores = r.factor_scores; }
+        return o;
+      });
+      return json(res, 200, {
+        ...(asOf ? { as_of: asOf, price_date } : {}),
+        count: items.length,
+        matched: rows.length,
+        complete: !stats.truncated,
+        items,
+        plan: { sources, per_code: PER_CODE_SOURCES.filter(x => sources.includes(x) && !(x === "fins" && stats.fins_index?.ready)) },
+        ...(rankOpt ? { ranking: { ...rankOpt, n: rows.length } } : {}),
+        stats
+      });
+    }
 
-          // スコア（軽量：流動性のみ／必要なら mom3m を加味）
-          const liqScore = Math.log10(Math.max(1, tv));
-          const momScore = (mom_3m == null ? 0 : mom_3m * 100);
-          const score = Math.round(10 * (liqScore + momScore));
-
-          const meta = listedMap.get(code) || { name: "" };
-          items.push({
-            code,
-            name: meta.name,
-            per, pbr, dividend_yield,
-            mom_3m, mom_6m, mom_12m,
-            avg_trading_value: Math.round(tv),
-            score
-          });
-          kept++;
-        }
+    // /api/jobs/screen（POST。screen/basic の条件で非同期ジョブを作成し、最初のスライスを実行）
+    // body: { params: { market, pbr_lt, … screen/basic と同じ }, budget_ms, max_scan（1スライスあたり）, run（false で作成のみ） }
+    if (op === "jobsScreen") {
+      let job;
+      try { job = createScreenJob(b.params); } catch (e) { throw badRequest(e); }
 
-        items.sort((a, b) => b.score - a.score);
-        const payload = { count: Math.min(items.length, limit), items: items.slice(0, limit) };
+      await jobStore().put(job);
+      if (b.run) await runJobSlice(job, { budgetMs: b.budget_ms, maxScan: b.max_scan }, idTokenOverride);
+      res.setHeader("Location", `/api/jobs/${job.id}`);
+      return json(res, job.status === "done" ? 200 : 202, jobView(job));
+    }
 
-        if (debug) payload._debug = Object.assign(DBG, {
-          processed, kept, scanned,
-          ms: Date.now() - t0, budget_ms: budgetMs
-        });
+    // /api/jobs/:id（GET：進捗と途中/最終結果。items=0 で進捗のみ）/ :id/resume（POST：続きを1スライス）/ DELETE：削除
+    if (op === "jobGet" || op === "jobDelete" || op === "jobResume") {
+      const job = await loadJob(found.id);
+      if (!job) return json(res, 404, { error: "job not found" });
 
-        return safeReturn(payload);
-      } catch (e) {
-        return safeReturn({ error: String(e && e.message || e) });
+      if (op === "jobGet") return json(res, 200, jobView(job, { withItems: q.items }));
+      if (op === "jobDelete") {
+        await jobStore().remove(job.id);
+        return json(res, 200, { id: job.id, deleted: true });
       }
+      if (job.status === "done") return json(res, 200, jobView(job));
+      if (job.lease_until > now()) return json(res, 409, { error: "job is already running", id: job.id });
+      // 失敗したジョブも止まった位置から再試行できる
+      if (job.status === "failed") job.error = job.error_type = null;
+      await runJobSlice(job, { budgetMs: q.budget_ms, maxScan: q.max_scan }, idTokenOverride);
+      return json(res, 200, jobView(job));
     }
 
+    // /api/sectors（業種別集計：中央値 PER/PBR/利回り・売買代金合計・3か月モメンタム）
+    // バリュエーションは業種ごとに売買代金上位 per_sector 銘柄の財務から（走査上限・時間予算あり）
+    if (op === "sectors") {
+      const { level, market, days, liquidity_mode: liqMode, valuation: withValuation, per_sector: perSector, max_scan: maxScan, as_of: asOf } = q;
+      const deadline = Date.now() + q.budget_ms;
+      const priceDate = asOf ? await getLatestTradingDate(idTokenOverride, asOf) : null;
 
-    // /api/portfolio/summary（codes の explode/非explode 両対応）
-    if (path === "/api/portfolio/summary" && method === "GET") {
-      const codesParam = url.searchParams.get("codes");
-      const codesMulti = url.searchParams.getAll("codes"); // explode=true 互換
-      const with_credit = toInt(url.searchParams.get("with_credit")) === 1;
+      const [listedMap, { avgTV, latestClose }, momSnaps, finsIdx] = await Promise.all([
+        getListedMap(idTokenOverride),
+        buildLiquidityAndClose(days, idTokenOverride, liqMode, asOf),
+        buildMomentumSnapshots(idTokenOverride, asOf),
+        withValuation ? ensureFinsIndex(priceDate, idTokenOverride).catch(e => (dlog("fins index failed", e.message), null)) : null
+      ]);
 
-      const rawList = [
-        ...(codesParam ? codesParam.split(",") : []),
-        ...((codesMulti.length > 1) ? codesMulti : [])
-      ].map(s => String(s).trim()).filter(Boolean);
+      const groups = new Map();
+      for (const [code, tv] of avgTV.entries()) {
+        const meta = listedMap.get(code);
+        if (!meta || !marketMatch(market, meta.marketJa)) continue;
+        const key = level === "17" ? meta.sector17Code : meta.sector33Code;
+        if (!key) continue;
+        if (!groups.has(key)) {
+          groups.set(key, { name: level === "17" ? meta.sector17Name : meta.sector33Name, members: [] });
+        }
+        const { mom_3m, rs_3m } = momentumFields(momSnaps, code);
+        groups.get(key).members.push({ code, tv: Number.isFinite(tv) ? tv : 0, mom_3m, rs_3m });
+      }
+
+      let scanned = 0, truncated = false;
+      const out = [];
+      for (const [sector, g] of groups.entries()) {
+        g.members.sort((a, b) => b.tv - a.tv);
+        const vals = [];
+        if (withValuation) {
+          for (const m of g.members.slice(0, perSector)) {
+            // 財務インデックスから読む分は走査上限に数えない
+            if (!finsIdx?.ready) {
+              if (scanned >= maxScan || Date.now() >= deadline) { truncated = true; break; }
+              scanned++;
+            }
+            try {
+              const s = summarizeFins(statementsAsOf(await finsStatementsFor(m.code, finsIdx, idTokenOverride), priceDate));
+              vals.push(valuationMetrics(latestClose.get(m.code), s));
+            } catch (e) {
+              if (isFatalUpstream(e)) throw e; // 取れない銘柄は集計から外す
+            }
+          }
+        }
+        out.push({
+          sector,
+          sector_name: g.name,
+          count: g.members.length,
+          total_trading_value: Math.round(g.members.reduce((a, m) => a + m.tv, 0)),
+          // 赤字（PER<=0）は中央値から除外
+          median_per: median(vals.map(v => v.per).filter(v => v != null && v > 0)),
+          median_pbr: median(vals.map(v => v.pbr)),
+          median_dividend_yield: median(vals.map(v => v.dividend_yield)),
+          median_mom_3m: median(g.members.map(m => m.mom_3m)),
+          median_rs_3m: median(g.members.map(m => m.rs_3m)),
+          valued: vals.length
+        });
+      }
+      out.sort((a, b) => b.total_trading_value - a.total_trading_value);
+      return json(res, 200, {
+        level, market, ...(asOf ? { as_of: asOf, price_date: priceDate } : {}), count: out.length, items: out,
+        momentum_dates: momSnaps.dates || null,
+        scanned, truncated
+      });
+    }
 
-      if (rawList.length === 0) return json(res, 400, { error: "codes is required" });
-      const codes = rawList.map(codeStr);
+    // /api/portfolio/summary（codes の explode/非explode 両対応）
+    if (op === "portfolioSummary") {
+      // codes はカンマ区切り・繰り返し（explode=true）の両対応
+      const { with_credit, as_of: asOf } = q;
+      const codes = q.codes.map(codeStr);
 
-      const [listedMap, latestDate] = await Promise.all([getListedMap(idTokenOverride), getLatestTradingDate(idTokenOverride)]);
+      const [listedMap, latestDate, momSnaps, earnMap, finsIdx] = await Promise.all([
+        getListedMap(idTokenOverride),
+        getLatestTradingDate(idTokenOverride, asOf),
+        buildMomentumSnapshots(idTokenOverride, asOf),
+        asOf ? new Map() : getEarningsMap(idTokenOverride).catch(e => (dlog("announcement fetch failed", e.message), new Map())),
+        ensureFinsIndex(asOf, idTokenOverride).catch(e => (dlog("fins index failed", e.message), null))
+      ]);
       const dq = await fetchDailyQuotesByDate(latestDate, idTokenOverride);
       const closeMap = new Map(dq.map(it => [codeStr(it.code), it.close]));
 
       const out = [];
       for (const code of codes) {
         let close = closeMap.get(code) ?? null;
-        let per = null, pbr = null, dividend_yield = null, eps_ttm = null, bps = null, dps = null;
-        let credit_latest = null;
+        let per = null, pbr = null, dividend_yield = null, eps_ttm = null, bps = null, dps = null, ttm_method = null;
+        let market_cap = null, ev = null, ev_sales = null, ev_ebit = null, earnings_yield = null;
+        let credit_latest = null, fins_source = null, recent = { last_disclosed_date: null, recently_reported: null };
         let error = null;
 
         try {
-          const stmts = await fetchFinsStatementsByCode(code, idTokenOverride);
+          const stmts = statementsAsOf(await finsStatementsFor(code, finsIdx, idTokenOverride), asOf ? latestDate : null);
           const s = summarizeFins(stmts);
-          eps_ttm = s.eps_ttm; bps = s.bps; dps = s.dps;
-          if (Number.isFinite(close)) {
-            if (s.eps_ttm != null && s.eps_ttm !== 0) per = close / s.eps_ttm;
-            if (s.bps != null && s.bps !== 0) pbr = close / s.bps;
-            if (s.dps != null && close !== 0) dividend_yield = s.dps / close;
-          }
-        } catch (e) { error = e.message; }
+          eps_ttm = s.eps_ttm; bps = s.bps; dps = s.dps; ttm_method = s.ttm?.eps.method ?? null;
+          fins_source = s.source && { disclosed_date: s.source.disclosed_date, document: s.source.document };
+          recent = recentReport(stmts, asOf ? latestDate : jstDateStr());
+          ({ per, pbr, dividend_yield, market_cap, ev, ev_sales, ev_ebit, earnings_yield } = valuationMetrics(close, s));
+        } catch (e) {
+          if (isFatalUpstream(e)) throw e;
+          error = e.message;
+        }
 
         if (with_credit) {
           try {
-            const j = await jqGET(`/markets/weekly_margin_interest?code=${encodeURIComponent(code)}`, idTokenOverride);
-            const arr = (j.weekly_margin_interest || []).map(mapWeeklyMargin).sort((a, b) => a.date.localeCompare(b.date));
+            const arr = await fetchWeeklyMargin(code, idTokenOverride, asOf ? latestDate : null);
             credit_latest = arr[arr.length - 1] || null;
-          } catch (e) { error = (error ? error + "; " : "") + e.message; }
+          } catch (e) {
+            if (isFatalUpstream(e)) throw e;
+            error = (error ? error + "; " : "") + e.message;
+          }
         }
 
-        out.push({ code, close, per, pbr, dividend_yield, eps_ttm, bps, dps, credit_latest, error: error || null });
+        const meta = listedMap.get(code) || {};
+        out.push({
+          code, name: meta.name || "", market: meta.marketJa || "", ...sectorFields(meta),
+          close, per, pbr, dividend_yield, eps_ttm, ttm_method, bps, dps,
+          market_cap, ev, ev_sales, ev_ebit, earnings_yield, fins_source,
+          ...momentumFields(momSnaps, code),
+          ...earningsFields(earnMap, code), ...recent,
+          credit_latest, error: error || null
+        });
       }
-      return json(res, 200, { count: out.length, items: out });
+      return json(res, 200, { ...(asOf ? { as_of: asOf, price_date: latestDate ?? null } : {}), count: out.length, items: out });
+    }
+
+    // /api/portfolio/analytics（POST。保有 → 評価額・ウェイト・含み損益・加重 PER/PBR/利回り・対 TOPIX リスク・集中度）
+    // body: { holdings: [{ code, quantity, cost_basis（1株あたり取得単価。任意） }], cash, lookback_days（既定252）, as_of }
+    if (op === "portfolioAnalytics") {
+      const { cash, lookback_days: lookback, as_of: asOf } = b;
+      let holdings;
+      try { holdings = parseHoldings(b.holdings); }
+      catch (e) { return sendError(res, paramError([{ field: "holdings", message: e.message }])); }
+
+      const out = await portfolioAnalytics({ holdings, cash, lookback, asOf }, idTokenOverride);
+      return json(res, 200, { ...(asOf ? { as_of: asOf } : {}), count: out.items.length, ...out });
     }
 
-    // 未対応
-    return json(res, 404, { error: `No route for ${method} ${path}` });
+    // ROUTES にあって処理が無いもの（定義漏れ）
+    throw new Error(`No handler for ${op}`);
   } catch (e) {
-    console.error(e);
-    return json(res, 500, { error: e.message || "Internal error" });
+    return sendError(res, e, def?.errorShape);
+  }
+}
+
+// -------------------- スタンドアロンサーバー（node:http。npm start = node api/index.js）
+// Vercel が行う本文の解析と res.status() / json() / send() を補って handler に渡す。
+// close() では新規を断り、処理中のリクエスト（スクリーン・ジョブのスライス）が終わるのを待つ。
+// シグナル処理と process.exit は直接起動したときだけ（startServer を組み込む側のプロセスは終了させない）。
+const COMPRESS_MIN_BYTES = 1024;
+function serverConfig() {
+  return {
+    port: toInt(process.env.PORT) ?? 3000,
+    host: process.env.HOST || "127.0.0.1",
+    maxBodyBytes: toInt(process.env.MAX_BODY_BYTES) ?? 1024 * 1024,
+    compression: process.env.HTTP_COMPRESSION !== "0",
+    shutdownTimeoutMs: toInt(process.env.SHUTDOWN_TIMEOUT_MS) ?? 30000
+  };
+}
+
+// 本文を文字列で読む（上限超過は 413）
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new ApiError("payload_too_large", `request body exceeds ${limit} bytes`);
+    if (Number(req.headers["content-length"]) > limit) return reject(tooLarge());
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size <= limit) return chunks.push(c);
+      req.removeAllListeners("data");
+      req.resume(); // 残りは読み捨てる
+      reject(tooLarge());
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+// JSON（または Content-Type 無し）は解析して渡す。解析できなければ文字列のまま（ルーターが 400 にする）
+function parseBodyText(raw, contentType) {
+  if (!raw) return undefined;
+  if (contentType && !/json/i.test(contentType)) return raw;
+  try { return JSON.parse(raw); } catch (_) { return raw; }
+}
+// Accept-Encoding → br / gzip / null（q=0 は不可）
+function pickEncoding(accept) {
+  const q = new Map();
+  for (const part of String(accept || "").toLowerCase().split(",")) {
+    const [name, ...params] = part.trim().split(";").map(x => x.trim());
+    const qp = params.find(p => p.startsWith("q="));
+    if (name) q.set(name, qp ? Number(qp.slice(2)) : 1);
+  }
+  return ["br", "gzip"].find(e => (q.get(e) ?? q.get("*") ?? 0) > 0) ?? null;
+}
+// node:http の res に Vercel 互換の status / json / send を足す。大きい応答は圧縮
+function adaptResponse(req, res, { compression }) {
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (obj) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.send(JSON.stringify(obj));
+  };
+  res.send = (body) => {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === "string" ? body : String(body ?? ""), "utf8");
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    const plain = () => { res.setHeader("Content-Length", buf.length); res.end(buf); };
+    if (!compression || buf.length < COMPRESS_MIN_BYTES) { plain(); return res; }
+    res.setHeader("Vary", "Accept-Encoding");
+    const enc = pickEncoding(req.headers["accept-encoding"]);
+    if (!enc) { plain(); return res; }
+    const done = (err, out) => {
+      if (err) return plain();
+      res.setHeader("Content-Encoding", enc);
+      res.setHeader("Content-Length", out.length);
+      res.end(out);
+    };
+    // 品質は速度優先（スクリーン結果の JSON は低い品質でも十分縮む）
+    if (enc === "br") {
+      zlib.brotliCompress(buf, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length }
+      }, done);
+    } else {
+      zlib.gzip(buf, { level: 6 }, done);
+    }
+    return res;
+  };
+  return res;
+}
+
+// サーバーを起動して { server, listening, close } を返す。opt は serverConfig() を上書き
+// listening → Promise<AddressInfo>（EADDRINUSE などで listen できなければ reject。エラーはログにも出す）
+// close(reason) → Promise<boolean>（処理中が全て終われば true、shutdownTimeoutMs で打ち切れば false）。2回目以降は同じ Promise
+export function startServer(opt = {}) {
+  const cfg = { ...serverConfig(), ...opt };
+  const active = new Set();
+  let draining = false;
+
+  const server = http.createServer(async (req, res) => {
+    active.add(res);
+    res.on("close", () => active.delete(res));
+    adaptResponse(req, res, cfg);
+    if (draining) {
+      res.setHeader("Connection", "close");
+      res.setHeader("Retry-After", "5");
+      return json(res, 503, { error: "server is shutting down", type: "unavailable" });
+    }
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD" && req.method !== "OPTIONS") {
+        req.body = parseBodyText(await readBody(req, cfg.maxBodyBytes), req.headers["content-type"]);
+      }
+    } catch (e) {
+      logEvent("warn", "request_rejected", { method: req.method, path: String(req.url || "").split("?")[0], message: e.message });
+      res.setHeader("Connection", "close");
+      return sendError(res, e);
+    }
+    try {
+      await handler(req, res);
+    } catch (e) {
+      logEvent("error", "error", { message: e.message, stack: e.stack });
+      if (!res.headersSent) sendError(res, e);
+    }
+  });
+
+  let closing = null;
+  function close(reason = "close") {
+    if (closing) return closing;
+    draining = true;
+    logEvent("info", "shutdown", { signal: reason, inflight: active.size, timeout_ms: cfg.shutdownTimeoutMs });
+    // 処理中の応答は返したら接続を閉じる（keep-alive で新しいリクエストを受けない）
+    for (const res of active) if (!res.headersSent) res.setHeader("Connection", "close");
+    closing = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        logEvent("warn", "shutdown_timeout", { inflight: active.size });
+        server.closeAllConnections?.();
+        resolve(false);
+      }, cfg.shutdownTimeoutMs);
+      timer.unref?.();
+      server.close(() => {
+        clearTimeout(timer);
+        REQ_CTX.exit(() => logEvent("info", "shutdown_complete", {}));
+        resolve(true);
+      });
+      server.closeIdleConnections?.();
+    });
+    return closing;
+  }
+
+  const listening = new Promise((resolve, reject) => {
+    server.on("error", (e) => {
+      logEvent("error", "server_error", { code: e.code, message: e.message, host: cfg.host, port: cfg.port });
+      if (!server.listening) reject(e);
+    });
+    server.listen(cfg.port, cfg.host, () => {
+      const addr = server.address();
+      logEvent("info", "listening", { host: cfg.host, port: addr?.port ?? cfg.port, version: VERSION });
+      resolve(addr);
+    });
+  });
+  listening.catch(() => {}); // 待たない呼び出し元でも未処理の reject にしない（ログは出ている）
+  return { server, listening, close };
+}
+
+// 単体テスト用（test/*.test.js）
+export { coerceParam, computeTtm, parseIndicatorSpec, validateExpr, evalExpr, scopeAllows, readBody, parseBodyText, pickEncoding };
+
+// node api/index.js で直接起動されたときだけ listen（Vercel では handler のみ使われる）
+// SIGTERM / SIGINT で close() を待ってから終了（打ち切りなら終了コード 1）
+if (process.argv[1] && nodePath.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { listening, close } = startServer();
+  listening.catch(() => process.exit(1));
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => close(signal).then(ok => process.exit(ok ? 0 : 1)));
   }
 }
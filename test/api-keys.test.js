@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scopeAllows } from "../api/index.js";
+
+test("scopeAllows: exact, prefix and method-qualified scopes", () => {
+  assert.equal(scopeAllows(["prices/daily"], "GET", "prices/daily"), true);
+  assert.equal(scopeAllows(["prices/daily"], "GET", "prices/history"), false);
+  assert.equal(scopeAllows(["prices/*"], "GET", "prices/history"), true);
+  assert.equal(scopeAllows(["prices/*"], "GET", "prices"), true);
+  assert.equal(scopeAllows(["prices/*"], "GET", "pricesx/daily"), false);
+  assert.equal(scopeAllows(["GET screen/*"], "GET", "screen/basic"), true);
+  assert.equal(scopeAllows(["GET screen/*"], "POST", "screen/query"), false);
+  assert.equal(scopeAllows([], "GET", "prices/daily"), false);
+});
+
+test("scopeAllows: deny scopes win over allow scopes", () => {
+  const scopes = ["*", "!screen/jobs/*"];
+  assert.equal(scopeAllows(scopes, "GET", "screen/basic"), true);
+  assert.equal(scopeAllows(scopes, "POST", "screen/jobs"), false);
+  assert.equal(scopeAllows(["screen/*", "!POST screen/*"], "POST", "screen/query"), false);
+  assert.equal(scopeAllows(["screen/*", "!POST screen/*"], "GET", "screen/basic"), true);
+});
+
+test("scopeAllows: sensitive routes need an explicit scope", () => {
+  assert.equal(scopeAllows(["*"], "POST", "auth/refresh"), false);
+  assert.equal(scopeAllows(["GET *"], "GET", "admin/keys"), false);
+  assert.equal(scopeAllows(["*", "auth/refresh"], "POST", "auth/refresh"), true);
+  assert.equal(scopeAllows(["admin/*"], "GET", "admin/keys"), true);
+});
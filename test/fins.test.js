@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTtm } from "../api/index.js";
+
+const EPS = { aliases: ["EarningsPerShare"] };
+
+// 期末日の降順（dedupeStatements の出力と同じ並び）
+function st(type, fyStart, periodEnd, eps) {
+  const fyEnd = `${Number(fyStart.slice(0, 4)) + 1}-03-31`;
+  return {
+    TypeOfDocument: `${type}FinancialStatements_Consolidated_JP`, TypeOfCurrentPeriod: type,
+    CurrentFiscalYearStartDate: fyStart, CurrentFiscalYearEndDate: fyEnd, CurrentPeriodEndDate: periodEnd,
+    DisclosedDate: periodEnd, EarningsPerShare: eps == null ? "" : String(eps)
+  };
+}
+
+test("computeTtm: latest FY is used as-is", () => {
+  const r = computeTtm([st("FY", "2024-04-01", "2025-03-31", 120), st("3Q", "2024-04-01", "2024-12-31", 90)], EPS);
+  assert.equal(r.value, 120);
+  assert.equal(r.method, "fy");
+  assert.equal(r.periods.length, 1);
+});
+
+test("computeTtm: prior FY + current YTD - prior same-period YTD", () => {
+  const periods = [
+    st("2Q", "2025-04-01", "2025-09-30", 70),
+    st("FY", "2024-04-01", "2025-03-31", 120),
+    st("2Q", "2024-04-01", "2024-09-30", 50)
+  ];
+  const r = computeTtm(periods, EPS);
+  assert.equal(r.value, 120 + 70 - 50);
+  assert.equal(r.method, "fy+ytd-prior_ytd");
+  assert.deepEqual(r.periods.map(p => p.type), ["FY", "2Q", "2Q"]);
+});
+
+test("computeTtm: annualizes YTD when the prior year is missing", () => {
+  const r = computeTtm([st("1Q", "2025-04-01", "2025-06-30", 30)], EPS);
+  assert.equal(r.value, 120);
+  assert.equal(r.method, "annualized_ytd");
+});
+
+test("computeTtm: does not chain a prior FY across a fiscal-year change", () => {
+  const periods = [
+    st("2Q", "2025-04-01", "2025-09-30", 70),
+    { ...st("FY", "2024-01-01", "2024-12-31", 120), CurrentFiscalYearEndDate: "2024-12-31" },
+    st("2Q", "2024-01-01", "2024-06-30", 50)
+  ];
+  assert.equal(computeTtm(periods, EPS).method, "annualized_ytd");
+});
+
+test("computeTtm: skips periods without the field and returns null when none has it", () => {
+  const r = computeTtm([st("2Q", "2025-04-01", "2025-09-30", null), st("1Q", "2025-04-01", "2025-06-30", 25)], EPS);
+  assert.equal(r.value, 100);
+  assert.deepEqual(computeTtm([st("FY", "2024-04-01", "2025-03-31", null)], EPS), { value: null, method: null, periods: [] });
+  assert.deepEqual(computeTtm([], EPS), { value: null, method: null, periods: [] });
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIndicatorSpec } from "../api/index.js";
+
+test("parseIndicatorSpec: defaults and explicit arguments", () => {
+  assert.deepEqual(parseIndicatorSpec("sma:50, RSI , macd:5:10:3, bb:20:2.5, hl52"), [
+    { name: "sma", args: [50] },
+    { name: "rsi", args: [14] },
+    { name: "macd", args: [5, 10, 3] },
+    { name: "bb", args: [20, 2.5] },
+    { name: "hl52", args: [] }
+  ]);
+  assert.deepEqual(parseIndicatorSpec("macd::20"), [{ name: "macd", args: [12, 20, 9] }]);
+});
+
+test("parseIndicatorSpec: empty input falls back to the default set", () => {
+  const names = parseIndicatorSpec("").map(s => s.name);
+  assert.ok(names.includes("sma") && names.includes("macd") && names.includes("hl52"));
+  assert.deepEqual(parseIndicatorSpec(undefined), parseIndicatorSpec(""));
+});
+
+test("parseIndicatorSpec: windows must be integers between 1 and 400", () => {
+  assert.deepEqual(parseIndicatorSpec("sma:400"), [{ name: "sma", args: [400] }]);
+  for (const bad of ["sma:401", "sma:1e9", "sma:2.5", "rsi:0", "ema:-5", "atr:abc", "macd:12:26:1000"]) {
+    assert.throws(() => parseIndicatorSpec(bad), /invalid argument/, bad);
+  }
+});
+
+test("parseIndicatorSpec: bb multiplier is a positive number up to 10", () => {
+  assert.deepEqual(parseIndicatorSpec("bb:20:10"), [{ name: "bb", args: [20, 10] }]);
+  assert.throws(() => parseIndicatorSpec("bb:20:0"), /invalid argument for bb/);
+  assert.throws(() => parseIndicatorSpec("bb:20:11"), /invalid argument for bb/);
+});
+
+test("parseIndicatorSpec: unknown indicators are rejected", () => {
+  assert.throws(() => parseIndicatorSpec("sma:25,foo:3"), /unknown indicator: foo/);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { coerceParam } from "../api/index.js";
+
+test("coerceParam: integer and number with bounds", () => {
+  const limit = { type: "integer", min: 1, max: 100 };
+  assert.deepEqual(coerceParam(limit, "20"), { value: 20 });
+  assert.deepEqual(coerceParam(limit, 20), { value: 20 });
+  assert.deepEqual(coerceParam(limit, "2.5"), { error: "must be an integer" });
+  assert.deepEqual(coerceParam(limit, "abc"), { error: "must be an integer" });
+  assert.deepEqual(coerceParam(limit, " "), { error: "must be an integer" });
+  assert.deepEqual(coerceParam(limit, "0"), { error: "must be >= 1" });
+  assert.deepEqual(coerceParam(limit, "101"), { error: "must be <= 100" });
+  assert.deepEqual(coerceParam({ ...limit, clamp: true }, "500"), { value: 100 });
+  assert.deepEqual(coerceParam({ type: "number" }, "1e3"), { value: 1000 });
+  assert.deepEqual(coerceParam({ type: "number" }, "Infinity"), { error: "must be a number" });
+  assert.deepEqual(coerceParam({ type: "integer" }, ["1", "2"]), { value: 2 });
+});
+
+test("coerceParam: boolean", () => {
+  const def = { type: "boolean" };
+  assert.deepEqual(coerceParam(def, "1"), { value: true });
+  assert.deepEqual(coerceParam(def, "TRUE"), { value: true });
+  assert.deepEqual(coerceParam(def, "0"), { value: false });
+  assert.deepEqual(coerceParam(def, false), { value: false });
+  assert.deepEqual(coerceParam(def, "yes"), { error: "must be 1, 0, true or false" });
+});
+
+test("coerceParam: string and enum", () => {
+  assert.deepEqual(coerceParam({ type: "string" }, "  abc "), { value: "abc" });
+  assert.deepEqual(coerceParam({ type: "string" }, { a: 1 }), { error: "must be a string" });
+  const order = { type: "string", enum: ["asc", "desc"] };
+  assert.deepEqual(coerceParam(order, "DESC"), { value: "desc" });
+  assert.deepEqual(coerceParam(order, "up"), { error: "must be one of asc, desc" });
+});
+
+test("coerceParam: date", () => {
+  const def = { type: "date" };
+  assert.deepEqual(coerceParam(def, "2024-02-29"), { value: "2024-02-29" });
+  assert.deepEqual(coerceParam(def, "2023-02-29"), { error: "must be a date (YYYY-MM-DD)" });
+  assert.deepEqual(coerceParam(def, "20240229"), { error: "must be a date (YYYY-MM-DD)" });
+  assert.deepEqual(coerceParam({ ...def, notFuture: true }, "2999-01-01"), { error: "must not be in the future" });
+});
+
+test("coerceParam: codes and lists", () => {
+  assert.deepEqual(coerceParam({ type: "code" }, "7203"), { value: "7203" });
+  assert.deepEqual(coerceParam({ type: "code" }, "72"), { error: "must be a 4- or 5-character security code" });
+  assert.deepEqual(coerceParam({ type: "codes" }, ["7203,6758", " 9984 "]), { value: ["7203", "6758", "9984"] });
+  assert.deepEqual(coerceParam({ type: "codes" }, "7203,x"), { error: "contains an invalid security code: x" });
+  assert.deepEqual(coerceParam({ type: "list" }, "a,,b"), { value: ["a", "b"] });
+});
+
+test("coerceParam: object and array bodies", () => {
+  assert.deepEqual(coerceParam({ type: "object" }, { a: 1 }), { value: { a: 1 } });
+  assert.deepEqual(coerceParam({ type: "object" }, [1]), { error: "must be an object" });
+  assert.deepEqual(coerceParam({ type: "array" }, [1]), { value: [1] });
+  assert.deepEqual(coerceParam({ type: "array" }, "1"), { error: "must be an array" });
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateExpr, evalExpr } from "../api/index.js";
+
+const ALL = new Set(["base", "fins", "tech", "momentum"]);
+const row = { code: "7203", market: "プライム", close: 2500, per: 9.5, pbr: null, rsi14: 35 };
+
+test("evalExpr: comparison operators", () => {
+  const ev = (e) => evalExpr(e, row, ALL);
+  assert.equal(ev({ field: "per", op: "lt", value: 10 }), true);
+  assert.equal(ev({ field: "per", op: "gte", value: 10 }), false);
+  assert.equal(ev({ field: "close", op: "between", value: [2000, 3000] }), true);
+  assert.equal(ev({ field: "market", op: "in", value: ["グロース", "プライム"] }), true);
+  assert.equal(ev({ field: "code", op: "ne", value: "7203" }), false);
+  assert.equal(ev({ field: "rsi14", op: "lte", value: 35 }), true);
+});
+
+test("evalExpr: nulls fail by default, pass on request, and is_null / not_null see them", () => {
+  const ev = (e) => evalExpr(e, row, ALL);
+  assert.equal(ev({ field: "pbr", op: "lt", value: 1 }), false);
+  assert.equal(ev({ field: "pbr", op: "lt", value: 1, nulls: "pass" }), true);
+  assert.equal(ev({ field: "pbr", op: "is_null" }), true);
+  assert.equal(ev({ field: "per", op: "not_null" }), true);
+  assert.equal(ev({ field: "roe", op: "is_null" }), true);
+});
+
+test("evalExpr: and / or / not", () => {
+  const ev = (e) => evalExpr(e, row, ALL);
+  const lowPer = { field: "per", op: "lt", value: 10 };
+  const highClose = { field: "close", op: "gt", value: 5000 };
+  assert.equal(ev({ and: [lowPer, highClose] }), false);
+  assert.equal(ev({ or: [lowPer, highClose] }), true);
+  assert.equal(ev({ not: highClose }), true);
+  assert.equal(ev(null), true);
+});
+
+test("evalExpr: unloaded sources are undefined unless the result is already decided", () => {
+  const baseOnly = new Set(["base"]);
+  const ev = (e) => evalExpr(e, row, baseOnly);
+  const fins = { field: "per", op: "lt", value: 10 };
+  assert.equal(ev(fins), undefined);
+  assert.equal(ev({ not: fins }), undefined);
+  assert.equal(ev({ and: [{ field: "close", op: "gt", value: 5000 }, fins] }), false);
+  assert.equal(ev({ and: [{ field: "close", op: "lt", value: 5000 }, fins] }), undefined);
+  assert.equal(ev({ or: [{ field: "close", op: "lt", value: 5000 }, fins] }), true);
+});
+
+test("validateExpr: rejects malformed expressions with the offending path", () => {
+  assert.doesNotThrow(() => validateExpr({ and: [{ field: "per", op: "lt", value: 15 }, { not: { field: "sma25", op: "is_null" } }] }));
+  assert.throws(() => validateExpr([]), /^Error: where: expression must be an object/);
+  assert.throws(() => validateExpr({ and: [] }), /where\.and: must be a non-empty array/);
+  assert.throws(() => validateExpr({ or: [{ field: "nope", op: "eq", value: 1 }] }), /where\.or\[0\]\.field: unknown field "nope"/);
+  assert.throws(() => validateExpr({ field: "per", op: "like", value: 1 }), /unknown operator "like"/);
+  assert.throws(() => validateExpr({ field: "per", op: "between", value: [1] }), /between needs \[min, max\]/);
+  assert.throws(() => validateExpr({ field: "per", op: "lt" }), /required for lt/);
+  assert.throws(() => validateExpr({ field: "sma1000", op: "gt", value: 1 }), /indicator window must be an integer between 1 and 400/);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { readBody, parseBodyText, pickEncoding } from "../api/index.js";
+
+function req(chunks, headers = {}) {
+  const r = Readable.from(chunks.map(c => Buffer.from(c)));
+  r.headers = headers;
+  return r;
+}
+
+test("readBody: reads the whole body within the limit", async () => {
+  assert.equal(await readBody(req(["{\"a\":", "1}"]), 10), "{\"a\":1}");
+  assert.equal(await readBody(req([]), 10), "");
+});
+
+test("readBody: rejects with 413 when Content-Length exceeds the limit", async () => {
+  await assert.rejects(readBody(req(["x"], { "content-length": "11" }), 10),
+    { type: "payload_too_large", status: 413, message: "request body exceeds 10 bytes" });
+});
+
+test("readBody: rejects with 413 when the streamed body exceeds the limit", async () => {
+  await assert.rejects(readBody(req(["12345", "67890", "1"]), 10), { type: "payload_too_large", status: 413 });
+});
+
+test("parseBodyText: parses JSON and keeps anything else as text", () => {
+  assert.deepEqual(parseBodyText("{\"a\":1}", "application/json; charset=utf-8"), { a: 1 });
+  assert.deepEqual(parseBodyText("[1]", undefined), [1]);
+  assert.equal(parseBodyText("{oops", "application/json"), "{oops");
+  assert.equal(parseBodyText("a=1", "application/x-www-form-urlencoded"), "a=1");
+  assert.equal(parseBodyText("", "application/json"), undefined);
+});
+
+test("pickEncoding: prefers br, then gzip, and honours q=0", () => {
+  assert.equal(pickEncoding("gzip, deflate, br"), "br");
+  assert.equal(pickEncoding("gzip"), "gzip");
+  assert.equal(pickEncoding("br;q=0, gzip;q=0.5"), "gzip");
+  assert.equal(pickEncoding("*"), "br");
+  assert.equal(pickEncoding("*, br;q=0"), "gzip");
+  assert.equal(pickEncoding("identity"), null);
+  assert.equal(pickEncoding(undefined), null);
+});